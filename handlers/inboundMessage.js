@@ -0,0 +1,438 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { admin, db } from '../firebaseAdmin.js';
+import { stopSequencesOnReply } from '../services/sequences.js';
+import { flushPendingMessages } from '../whatsappService.js';
+import { recordCampaignReply } from '../services/campaigns.js';
+import { applyReplyAction } from '../services/replyActions.js';
+import { transcribeMessage } from '../services/transcription.js';
+import { handleAssistantReply } from '../services/assistant.js';
+import { handleLyricsReply } from '../services/lyricsApproval.js';
+import { handleVariationReply } from '../services/songSelection.js';
+import { detectReceipt } from '../services/receipts.js';
+
+const TOKEN = process.env.WHATSAPP_TOKEN;
+const FieldValue = admin.firestore.FieldValue;
+
+// Reintentos de mensajes entrantes: 'processing' más antiguo que esto se
+// considera abandonado (proceso caído) y se vuelve a procesar
+const INBOUND_STALE_MS     = 10 * 60 * 1000;
+const MAX_INBOUND_ATTEMPTS = 5;
+
+/**
+ * Marca el mensaje como recibido en 'processedMessages'. Devuelve false si
+ * ya existía (Meta reintentó la entrega), usando create() para que la
+ * comprobación sea atómica aunque lleguen dos entregas a la vez.
+ * El payload crudo queda en el claim antes de descargar media o llamar a
+ * la IA, para que retryInboundMessages pueda reprocesarlo si algo falla.
+ */
+async function claimInboundMessage(msg) {
+  try {
+    const now = new Date();
+    await db.collection('processedMessages').doc(msg.id).create({
+      from:       msg.from,
+      status:     'processing',
+      payload:    msg,
+      attempts:   1,
+      receivedAt: now,
+      claimedAt:  now
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 6) return false; // ALREADY_EXISTS
+    throw err;
+  }
+}
+
+/** Claim reintentable: en 'error' o en 'processing' abandonado. */
+function isRetryable(data, now = Date.now()) {
+  if (data.status === 'error') return true;
+  const claimedAt = data.claimedAt?.toMillis?.() ?? new Date(data.claimedAt || data.receivedAt || 0).getTime();
+  return data.status === 'processing' && now - claimedAt > INBOUND_STALE_MS;
+}
+
+/**
+ * Vuelve a reclamar un mensaje para reintentarlo (en transacción, para que
+ * dos crons no lo procesen a la vez). Devuelve el payload, o null si ya no
+ * es reintentable. Pasado MAX_INBOUND_ATTEMPTS queda en 'failed'.
+ */
+async function reclaimInboundMessage(ref) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const data = snap.data();
+    if (!data.payload || !isRetryable(data)) return null;
+    if ((data.attempts || 1) >= MAX_INBOUND_ATTEMPTS) {
+      tx.update(ref, { status: 'failed', failedAt: new Date() });
+      return null;
+    }
+    tx.update(ref, {
+      status:    'processing',
+      attempts:  FieldValue.increment(1),
+      claimedAt: new Date()
+    });
+    return data.payload;
+  });
+}
+
+/**
+ * Reprocesa los mensajes entrantes que fallaron ('error') o cuyo proceso
+ * murió a medias ('processing' sin terminar tras INBOUND_STALE_MS), a
+ * partir del payload guardado en el claim.
+ */
+export async function retryInboundMessages() {
+  const col = db.collection('processedMessages');
+  const [errored, processing] = await Promise.all([
+    col.where('status', '==', 'error').limit(20).get(),
+    col.where('status', '==', 'processing').limit(50).get()
+  ]);
+  const now = Date.now();
+  const docs = [...errored.docs, ...processing.docs].filter(d => isRetryable(d.data(), now));
+
+  for (const doc of docs) {
+    let msg;
+    try {
+      msg = await reclaimInboundMessage(doc.ref);
+    } catch (err) {
+      console.error(`❌ reclamando mensaje ${doc.id}:`, err.message);
+      continue;
+    }
+    if (!msg) continue;
+    console.log(`🔁 reintentando mensaje entrante ${doc.id}`);
+    await handleInboundMessage(msg, { retry: true })
+      .catch(err => console.error(`❌ reintento de mensaje ${doc.id}:`, err.message));
+  }
+}
+
+// Tipos de mensaje con media descargable → mediaType guardado en el mensaje
+const MEDIA_TYPES = {
+  image:    'image',
+  video:    'video',
+  audio:    'audio',
+  sticker:  'sticker',
+  document: 'document'
+};
+
+// Extensión por MIME (los documentos conservan la de su nombre original)
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png':  'png',
+  'image/webp': 'webp',
+  'video/mp4':  'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg':  'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4':  'm4a',
+  'audio/aac':  'aac',
+  'audio/amr':  'amr',
+  'application/pdf': 'pdf'
+};
+
+function extensionFor(mimeType, fileName) {
+  const mime = String(mimeType || '').split(';')[0].trim();
+  if (MIME_EXTENSIONS[mime]) return MIME_EXTENSIONS[mime];
+  const fromName = path.extname(fileName || '').slice(1);
+  return fromName || 'bin';
+}
+
+/**
+ * Baja el media de WhatsApp → lo sube a Storage con su MIME original →
+ * devuelve { mediaType, mediaUrl, mimeType, fileName, storagePath }.
+ */
+async function downloadInboundMedia(msg) {
+  const bucket = admin.storage().bucket();
+  const media  = msg[msg.type];
+  const mediaId = media.id;
+
+  // 1) Tipo de media (los PDF conservan 'pdf' por compatibilidad con el CRM)
+  let mediaType = MEDIA_TYPES[msg.type];
+  if (mediaType === 'document' && media.mime_type === 'application/pdf') mediaType = 'pdf';
+
+  // 2) Pido URL temporal de Graph
+  const { data: { url: whatsappUrl } } = await axios.get(
+    `https://graph.facebook.com/v22.0/${mediaId}`,
+    { params: { access_token: TOKEN, fields: 'url' } }
+  );
+
+  // 3) Descargo el binario
+  const response = await axios.get(whatsappUrl, {
+    responseType: 'stream',
+    headers: { Authorization: `Bearer ${TOKEN}` }
+  });
+  const mimeType = media.mime_type || response.headers['content-type'];
+  const ext = extensionFor(mimeType, media.filename);
+  const tmpPath = path.resolve('./uploads', `${mediaId}.${ext}`);
+  const writer = fs.createWriteStream(tmpPath);
+  await new Promise((res, rej) => {
+    response.data.pipe(writer);
+    writer.on('finish', res);
+    writer.on('error', rej);
+  });
+
+  // 4) Subo a Firebase Storage (los documentos con su nombre original)
+  const fileName = media.filename || `${mediaId}.${ext}`;
+  const dest = media.filename
+    ? `chat-media/${mediaId}/${media.filename}`
+    : `chat-media/${mediaId}.${ext}`;
+  await bucket.upload(tmpPath, {
+    destination: dest,
+    metadata: {
+      contentType: mimeType,
+      ...(media.filename
+        ? { contentDisposition: `inline; filename="${encodeURIComponent(media.filename)}"` }
+        : {})
+    }
+  });
+  // limpio tmp
+  fs.unlinkSync(tmpPath);
+
+  // 5) Genero signed URL
+  const [signedUrl] = await bucket
+    .file(dest)
+    .getSignedUrl({ action: 'read', expires: Date.now() + 24*60*60*1000 });
+
+  return { mediaType, mediaUrl: signedUrl, mimeType, fileName, storagePath: dest };
+}
+
+/**
+ * Payload estructurado de los mensajes sin media: ubicaciones, tarjetas
+ * de contacto y reacciones. Devuelve { mediaType, content, fields }.
+ */
+function describeNonMedia(msg) {
+  switch (msg.type) {
+    case 'location': {
+      const { latitude, longitude, name, address, url } = msg.location;
+      return {
+        mediaType: 'location',
+        content: [name, address].filter(Boolean).join(', ') || `📍 ${latitude},${longitude}`,
+        fields: { location: { latitude, longitude, name: name || null, address: address || null, url: url || null } }
+      };
+    }
+    case 'contacts': {
+      const contacts = (msg.contacts || []).map(c => ({
+        name:   c.name?.formatted_name || [c.name?.first_name, c.name?.last_name].filter(Boolean).join(' '),
+        phones: (c.phones || []).map(p => ({ phone: p.phone, waId: p.wa_id || null, type: p.type || null })),
+        emails: (c.emails || []).map(e => e.email),
+        org:    c.org?.company || null
+      }));
+      return {
+        mediaType: 'contacts',
+        content: `👤 ${contacts.map(c => c.name).join(', ')}`,
+        fields: { contacts }
+      };
+    }
+    case 'reaction':
+      // emoji vacío = el lead quitó la reacción
+      return {
+        mediaType: 'reaction',
+        content: msg.reaction.emoji || '',
+        fields: { reaction: { emoji: msg.reaction.emoji || null, wamid: msg.reaction.message_id } }
+      };
+    default:
+      return { mediaType: null, content: '', fields: {} };
+  }
+}
+
+/**
+ * Busca el mensaje de la conversación con ese wamid: los salientes por el
+ * índice 'waMessages' y los del lead en su subcolección.
+ * @returns {Promise<FirebaseFirestore.DocumentReference|null>}
+ */
+async function findMessageRef(leadId, wamid) {
+  if (!wamid) return null;
+  const messages = db.collection('leads').doc(leadId).collection('messages');
+  const index = await db.collection('waMessages').doc(wamid).get();
+  if (index.exists && index.data().leadId === leadId) {
+    return messages.doc(index.data().messageId);
+  }
+  const q = await messages.where('wamid', '==', wamid).limit(1).get();
+  return q.empty ? null : q.docs[0].ref;
+}
+
+/**
+ * Extrae la opción elegida de una respuesta a botones, listas o quick
+ * replies de plantilla: { type, id, title }, o null si es otro mensaje.
+ */
+function parseReply(msg) {
+  if (msg.type === 'interactive' && msg.interactive) {
+    const r = msg.interactive.button_reply || msg.interactive.list_reply;
+    if (!r) return null;
+    return { type: msg.interactive.type, id: r.id, title: r.title || '' };
+  }
+  if (msg.type === 'button' && msg.button) {
+    // Quick reply de plantilla: el payload hace de id
+    return { type: 'button', id: msg.button.payload || msg.button.text, title: msg.button.text || '' };
+  }
+  return null;
+}
+
+/**
+ * Procesa un mensaje entrante del webhook de WhatsApp: descarga el media,
+ * hace upsert del lead y guarda el mensaje en su subcolección con su payload
+ * (caption, ubicación, contactos, reacción, mensaje citado).
+ * Ignora los mensajes cuyo id ya fue procesado.
+ * @param {Object} msg - Elemento de `change.value.messages`.
+ */
+export async function processInboundMessage(msg) {
+  if (msg.id && !(await claimInboundMessage(msg))) {
+    console.log(`[WEBHOOK] mensaje duplicado ignorado ${msg.id}`);
+    return;
+  }
+  await handleInboundMessage(msg);
+}
+
+/**
+ * Cuerpo de processInboundMessage una vez reclamado el mensaje. En un
+ * reintento (`retry`) reutiliza el mensaje si ya se había guardado, para
+ * no duplicarlo ni contarlo dos veces como no leído.
+ */
+async function handleInboundMessage(msg, { retry = false } = {}) {
+  try {
+    const from = msg.from;                  // e.g. "521234567890"
+    const reply = parseReply(msg);
+    // En botones y listas el texto es el título de la opción elegida
+    const text = msg.text?.body || reply?.title || '';
+
+    let mediaType = null;
+    let mediaUrl  = null;
+    let content   = text;
+    let fields    = {};
+    if (MEDIA_TYPES[msg.type] && msg[msg.type]?.id) {
+      const { mimeType, fileName, storagePath, ...media } = await downloadInboundMedia(msg);
+      ({ mediaType, mediaUrl } = media);
+      // Caption de imagen/video/documento como texto del mensaje
+      content = msg[msg.type].caption || '';
+      fields = { mimeType, fileName, storagePath };
+      if (msg.type === 'audio') fields.voice = !!msg.audio.voice;
+    } else if (text) {
+      mediaType = 'text';
+    } else {
+      ({ mediaType, content, fields } = describeNonMedia(msg));
+    }
+
+    // 1) Upsert de lead
+    const q = await db.collection('leads')
+                      .where('telefono','==', from)
+                      .limit(1)
+                      .get();
+    let leadId;
+    let storedRef = null; // mensaje ya guardado por un intento anterior
+    if (q.empty) {
+      const now     = new Date();
+      const cfgSnap = await db.collection('config').doc('appConfig').get();
+      const cfg     = cfgSnap.exists ? cfgSnap.data() : {};
+      const trigger = cfg.defaultTrigger || 'NuevoLead';
+
+      const newLead = await db.collection('leads').add({
+        telefono: from,
+        nombre:  msg.pushName || '',
+        source:  'WhatsApp',
+        fecha_creacion: now,
+        estado:  'nuevo',
+        etiquetas: [trigger],
+        secuenciasActivas: [{ trigger, startTime: now.toISOString(), index: 0 }],
+        unreadCount: 1,
+        lastMessageAt: now,
+        lastInboundAt: now,
+        lastInboundText: content,
+        lastInboundReplyId: reply?.id || null
+      });
+      leadId = newLead.id;
+    } else {
+      leadId = q.docs[0].id;
+      if (retry) storedRef = await findMessageRef(leadId, msg.id);
+      // Respuesta a la última campaña recibida (stats 'replied')
+      if (!storedRef) await recordCampaignReply({ id: leadId, ...q.docs[0].data() });
+      const now = new Date();
+      await db.collection('leads').doc(leadId).update({
+        unreadCount: FieldValue.increment(storedRef ? 0 : 1),
+        lastMessageAt: now,
+        // Última respuesta del lead: la usan los saltos de las secuencias
+        // y la ventana de 24h de whatsappService
+        lastInboundAt: now,
+        lastInboundText: content,
+        lastInboundReplyId: reply?.id || null
+      });
+    }
+
+    // 2) Guardar mensaje en subcolección
+    const msgData = {
+      content,
+      mediaType,
+      mediaUrl,
+      ...fields,
+      sender:    'lead',
+      timestamp: new Date()
+    };
+    if (msg.id) msgData.wamid = msg.id;
+    if (reply) msgData.reply = reply;
+    // Mensaje al que responde (botones, listas o respuestas citadas)
+    if (msg.context?.id) {
+      const ref = await findMessageRef(leadId, msg.context.id);
+      msgData.replyTo = { wamid: msg.context.id, messageId: ref?.id || null };
+    }
+    if (fields.reaction) {
+      const ref = await findMessageRef(leadId, fields.reaction.wamid);
+      msgData.reaction.messageId = ref?.id || null;
+      // La reacción también queda en el mensaje reaccionado (null si se quitó)
+      if (ref) await ref.update({ leadReaction: fields.reaction.emoji });
+    }
+    const msgRef = storedRef || await db.collection('leads')
+            .doc(leadId)
+            .collection('messages')
+            .add(msgData);
+
+    // Notas de voz: el texto transcrito sirve como respuesta del lead
+    if (mediaType === 'audio' && fields.storagePath) {
+      const transcript = await transcribeMessage(msgRef, fields.storagePath);
+      if (transcript && !content) {
+        await db.collection('leads').doc(leadId).update({ lastInboundText: transcript });
+      }
+    }
+
+    // Imágenes/PDF de leads con pedido abierto: posible comprobante de pago
+    if ((mediaType === 'image' || mediaType === 'pdf') && fields.storagePath) {
+      await detectReceipt({ leadId, msgRef, mediaType, mediaUrl, storagePath: fields.storagePath })
+        .catch(err => console.error(`❌ detectando comprobante de ${leadId}:`, err.response?.data || err.message));
+    }
+
+    // 3) Secuencias con stopOnReply se detienen al responder el lead
+    await stopSequencesOnReply(leadId);
+
+    // 4) Botones/listas: etiquetas o secuencias configuradas para la opción
+    if (reply) await applyReplyAction(leadId, reply);
+
+    // 5) Aprobación o cambios de una letra pendiente, o elección de versión
+    const leadData = { id: leadId, ...(await db.collection('leads').doc(leadId).get()).data() };
+    let orderHandled = false;
+    try {
+      orderHandled = await handleVariationReply(leadData, reply)
+        || await handleLyricsReply(leadData, reply, leadData.lastInboundText || '');
+    } catch (err) {
+      console.error(`❌ respuesta sobre el pedido de ${leadId}:`, err.message);
+    }
+
+    // 6) La ventana de 24h se reabrió: enviamos lo que quedó en cola
+    await flushPendingMessages(leadId);
+
+    // 7) Asistente de ventas (si está activo): responde o deja borrador.
+    //    Un fallo del asistente no marca el mensaje como erróneo.
+    if (mediaType !== 'reaction' && !orderHandled) {
+      await handleAssistantReply(leadId)
+        .catch(err => console.error(`❌ asistente para ${leadId}:`, err.response?.data || err.message));
+    }
+
+    if (msg.id) {
+      await db.collection('processedMessages').doc(msg.id)
+        .update({ status: 'done', leadId, processedAt: new Date() });
+    }
+  } catch (err) {
+    if (msg.id) {
+      await db.collection('processedMessages').doc(msg.id)
+        .update({ status: 'error', errorMsg: err.message })
+        .catch(() => {});
+    }
+    throw err;
+  }
+}
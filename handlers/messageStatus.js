@@ -0,0 +1,69 @@
+import { db } from '../firebaseAdmin.js';
+import { recordCampaignStatus } from '../services/campaigns.js';
+
+// Orden de los estados de un mensaje saliente. Meta puede entregar los
+// webhooks desordenados (p.ej. 'read' antes que 'delivered'), así que el
+// estado actual sólo avanza; el historial guarda todos.
+const STATUS_RANK = {
+  accepted:  0,
+  sent:      1,
+  delivered: 2,
+  read:      3,
+  failed:    4
+};
+
+/**
+ * Procesa un elemento de `change.value.statuses` del webhook de WhatsApp
+ * y actualiza la línea de tiempo del mensaje correspondiente.
+ * @param {Object} status - { id, status, timestamp, recipient_id, errors? }
+ */
+export async function processStatusUpdate(status) {
+  const wamid = status.id;
+  if (!wamid || !(status.status in STATUS_RANK)) return;
+
+  const indexSnap = await db.collection('waMessages').doc(wamid).get();
+  if (!indexSnap.exists) {
+    console.warn(`[STATUS] wamid desconocido ${wamid} (${status.status})`);
+    return;
+  }
+  const { leadId, messageId, campaignId } = indexSnap.data();
+  const msgRef = db.collection('leads').doc(leadId).collection('messages').doc(messageId);
+
+  const entry = {
+    status:    status.status,
+    timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date()
+  };
+  const error = status.errors?.[0];
+  if (error) {
+    entry.errorCode  = error.code;
+    entry.errorTitle = error.title || error.message || '';
+    if (error.error_data?.details) entry.errorDetails = error.error_data.details;
+  }
+
+  await db.runTransaction(async tx => {
+    const msgSnap = await tx.get(msgRef);
+    if (!msgSnap.exists) return;
+    const current = msgSnap.data();
+    const history = current.statusHistory || [];
+    if (history.some(h => h.status === entry.status)) return; // reintento de Meta
+
+    const update = { statusHistory: [...history, entry] };
+    if ((STATUS_RANK[current.status] ?? -1) < STATUS_RANK[entry.status]) {
+      update.status = entry.status;
+    }
+    if (error) {
+      update.error = {
+        code:    entry.errorCode,
+        title:   entry.errorTitle,
+        details: entry.errorDetails || ''
+      };
+    }
+    tx.update(msgRef, update);
+  });
+
+  if (campaignId) {
+    await recordCampaignStatus(campaignId, leadId, entry.status, error);
+  }
+
+  console.log(`[STATUS] ${wamid} → ${entry.status}${error ? ` (error ${error.code})` : ''}`);
+}
@@ -0,0 +1,17 @@
+// openaiClient.js
+//
+// Cliente de OpenAI compartido por los servicios. Se crea la primera vez que
+// se usa, así que los módulos que lo importan cargan aunque falte la clave
+// (p.ej. con los proveedores 'stub' de transcripción o comprobantes).
+import { Configuration, OpenAIApi } from 'openai';
+
+let openai = null;
+
+/** Devuelve el cliente de OpenAI (lo crea en la primera llamada). */
+export function getOpenAI() {
+  if (!openai) {
+    if (!process.env.OPENAI_API_KEY) throw new Error('Falta la variable de entorno OPENAI_API_KEY');
+    openai = new OpenAIApi(new Configuration({ apiKey: process.env.OPENAI_API_KEY }));
+  }
+  return openai;
+}
@@ -1,26 +1,50 @@
 // src/server/scheduler.js
 import { db } from './firebaseAdmin.js';
-import { sendTextMessage, sendAudioMessage, sendVideoMessage, sendTemplateMessage, sendDocumentMessage } from './whatsappService.js';
+import {
+  sendTextMessage,
+  sendAudioMessage,
+  sendVideoMessage,
+  sendTemplateMessage,
+  sendDocumentMessage,
+  sendInteractiveButtons,
+  sendInteractiveList
+} from './whatsappService.js';
+import { launchMusicTask } from './services/musicTasks.js';
+import { claimStage, completeStage, releaseStage } from './services/musicaStages.js';
+import { getHandoffInactivityMs, checkHandoff } from './services/handoff.js';
+import { getSchedulingConfig, stepSendTime, canSendNow } from './services/scheduling.js';
+import { enqueueOutbox, getGroupStatus } from './services/outbox.js';
+import { replacePlaceholders } from './utils/placeholders.js';
+import { getLeadTranscripts } from './services/transcription.js';
+import { approvalMessage, lyricsGroup, saveLyricsVersion, awaitLyricsReview } from './services/lyricsApproval.js';
+import { variationButtons } from './services/songSelection.js';
+import { getPreviewConfig, getWatermarkFile, renderPreview } from './services/preview.js';
+import { getMasteringConfig, masterAudio, toVoiceNote } from './services/audioProcessing.js';
+import {
+  validateTemplateParams,
+  buildTemplateComponents,
+  resolveTemplateParams
+} from './services/templates.js';
+import {
+  getSequence,
+  matchExitCondition,
+  stepConditionsMet,
+  findReplyJump,
+  resolveStepIndex,
+  logBranch
+} from './services/sequences.js';
 
 import admin from 'firebase-admin';
-import { Configuration, OpenAIApi } from 'openai';
+import { getOpenAI } from './openaiClient.js';
 import fetch from 'node-fetch';
 import axios from 'axios';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
-import ffmpeg from 'fluent-ffmpeg';
 
 
 const bucket = admin.storage().bucket();
 
-// Sanitize helper correctamente nombrado
-function sanitizeParam(text) {
-  return text
-    .replace(/[\r\n\t]+/g, ' ')
-    .replace(/ {2,}/g, ' ')
-    .trim();
-}
 
 async function downloadStream(url, destPath) {
   const res = await axios.get(url, { responseType: 'stream' });
@@ -32,83 +56,9 @@ async function downloadStream(url, destPath) {
   });
 }
 
-/**
- * Detecta y resetea tareas atascadas en 'Procesando música' por más de {thresholdMin} minutos
- */
-async function retryStuckMusic(thresholdMin = 10) {
-  const cutoff = Date.now() - thresholdMin * 60_000;
-  const snap = await db.collection('musica')
-    .where('status', '==', 'Procesando música')
-    .where('generatedAt', '<=', new Date(cutoff))
-    .get();
-  if (snap.empty) return;
-
-  console.log(`🔄 retryStuckMusic: reenviando ${snap.size} tareas atascadas`);
-  for (const docSnap of snap.docs) {
-    try {
-      await docSnap.ref.update({
-        status:    'Sin música',
-        taskId:    admin.firestore.FieldValue.delete(),
-        errorMsg:  admin.firestore.FieldValue.delete(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-      console.log(`  ✅ ${docSnap.id} → status 'Sin música'`);
-    } catch (err) {
-      console.error(`  ❌ no pude resetear ${docSnap.id}:`, err);
-    }
-  }
-}
-
-
-
-/**
- * Trunca un texto para que su longitud, contando saltos de línea,
- * nunca supere `maxLen - safetyMargin`. 
- */
-function truncateToLimit(text, maxLen = 1024, safetyMargin = 5) {
-  // Si está dentro de los límites, devolvemos tal cual
-  if (text.length <= maxLen - safetyMargin) {
-    return text;
-  }
-  // Si excede, lo recortamos
-  return text.slice(0, maxLen - safetyMargin);
-}
-
-
-
-
 
 const { FieldValue } = admin.firestore;
 
-// Asegúrate de que la API key esté definida
-if (!process.env.OPENAI_API_KEY) {
-  throw new Error("Falta la variable de entorno OPENAI_API_KEY");
-}
-// Configuración de OpenAI
-const configuration = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-const openai = new OpenAIApi(configuration);
-
-/**
- * Reemplaza placeholders en plantillas de texto.
- * {{campo}} se sustituye por leadData.campo si existe.
- */
-// Placeholder replacer
-function replacePlaceholders(template, leadData) {
-  return template.replace(/\{\{(\w+)\}\}/g, (_, field) => {
-    if (field === 'nombre') {
-      return (leadData.nombre || '').split(' ')[0];
-    }
-    if (field === 'letra') {
-      return leadData.letra || '';
-    }
-    return leadData[field] || '';
-  });
-}
-
-
-
 
 /**
  * Envía un mensaje de WhatsApp según su tipo usando la Cloud API.
@@ -148,7 +98,8 @@ export async function enviarMensaje(lead, mensaje) {
       }
       case 'audio': {
         const url = replacePlaceholders(mensaje.contenido || '', lead);
-        await sendAudioMessage(phone, url);
+        // notaDeVoz: el archivo debe ser OGG/Opus
+        await sendAudioMessage(phone, url, { voice: !!mensaje.notaDeVoz });
         break;
       }
       case 'imagen': {
@@ -177,41 +128,45 @@ export async function enviarMensaje(lead, mensaje) {
 
 
       case 'template': {
-        const params = (mensaje.parameters || []).map(p => {
-          // 1) sustituir placeholders
-          let txt = replacePlaceholders(p.value, lead);
-          // 2) limpiar espacios y saltos de línea sobrantes
-          txt = sanitizeParam(txt);
-          // 3) truncar a 5 caracteres menos del límite
-          txt = truncateToLimit(txt, 1024, 5);
-      
-          return { type: 'text', text: txt };
-        });
-      
-        const components = params.length
-          ? [{ type: 'body', parameters: params }]
-          : [];
-      
+        // parameters: [{ key, value }] → body; header: { type, value };
+        // buttons: [{ index, sub_type, value }] (todos admiten placeholders)
+        const params = resolveTemplateParams({
+          header:  mensaje.header,
+          body:    (mensaje.parameters || []).map(p => p.value),
+          buttons: mensaje.buttons
+        }, lead);
+        const language = mensaje.language || 'es_MX';
+        await validateTemplateParams(mensaje.templateName, language, params);
+
+        // sendTemplateMessage registra el envío en Firestore
         await sendTemplateMessage({
           to:           phone,
           templateName: mensaje.templateName,
-          language:     mensaje.language || 'es_MX',
-          components
+          language,
+          components:   buildTemplateComponents(params),
+          variables:    (mensaje.parameters || []).reduce((o,p) => {
+                          o[p.key] = replacePlaceholders(p.value, lead);
+                          return o;
+                        }, {})
+        });
+        break;
+      }
+      case 'botones': {
+        // botones: [{ id, title }] (máx. 3); el id llega de vuelta en la respuesta
+        const content = replacePlaceholders(mensaje.contenido || '', lead).trim();
+        await sendInteractiveButtons(phone, content, mensaje.botones, {
+          header: mensaje.header && replacePlaceholders(mensaje.header, lead),
+          footer: mensaje.footer
+        });
+        break;
+      }
+      case 'lista': {
+        // secciones: [{ title, rows: [{ id, title, description }] }] (máx. 10 filas)
+        const content = replacePlaceholders(mensaje.contenido || '', lead).trim();
+        await sendInteractiveList(phone, content, mensaje.boton, mensaje.secciones, {
+          header: mensaje.header && replacePlaceholders(mensaje.header, lead),
+          footer: mensaje.footer
         });
-        // Registrar en Firestore
-        await db.collection('leads')
-          .doc(lead.id)
-          .collection('messages')
-          .add({
-            content:   `Plantilla ${mensaje.templateName} enviada`,
-            template:  mensaje.templateName,
-            variables: (mensaje.parameters || []).reduce((o,p) => {
-                         o[p.key] = replacePlaceholders(p.value, lead);
-                         return o;
-                       }, {}),
-            sender:    'business',
-            timestamp: new Date()
-          });
         break;
       }
       default:
@@ -226,6 +181,14 @@ export async function enviarMensaje(lead, mensaje) {
 
 /**
  * Procesa las secuencias activas de cada lead.
+ * Cada doc de 'secuencias' admite, además de `messages` con `delay`
+ * (minutos) o `{ day, at }` (día N a las HH:MM hora local del lead):
+ * - exitConditions: { tags, estados } → termina la secuencia.
+ * - messages[i].conditions: { requireTags, excludeTags } → omite el paso.
+ * - messages[i].jumps: [{ keywords, replyIds, toStep | toSequence }] → salta
+ *   según la respuesta del lead a ese paso (texto o botón/fila elegida).
+ * - messages[i].type 'botones' / 'lista' → mensajes interactivos.
+ * Las ramas tomadas quedan en el historial del lead (campo `branch`).
  */
 async function processSequences() {
   try {
@@ -233,6 +196,8 @@ async function processSequences() {
       .collection('leads')
       .where('secuenciasActivas', '!=', null)
       .get();
+    const handoffMs = await getHandoffInactivityMs();
+    const schedCfg = await getSchedulingConfig();
 
     for (const doc of leadsSnap.docs) {
           // 1) Cargar los datos básicos del lead
@@ -240,27 +205,75 @@ async function processSequences() {
       
        
       if (!Array.isArray(lead.secuenciasActivas) || !lead.secuenciasActivas.length) continue;
+      // Un agente atiende el chat: pausamos todas sus secuencias
+      if (await checkHandoff(lead, handoffMs)) continue;
 
       let dirty = false;
+      const nuevas = [];
       for (const seq of lead.secuenciasActivas) {
-        const { trigger, startTime, index } = seq;
-        const seqSnap = await db
-          .collection('secuencias')
-          .where('trigger', '==', trigger)
-          .get();
-        if (seqSnap.empty) continue;
-
-        const msgs = seqSnap.docs[0].data().messages;
-        if (index >= msgs.length) {
+        const { trigger } = seq;
+        const def = await getSequence(trigger);
+        if (!def) continue;
+        const msgs = def.messages || [];
+
+        // a) Condiciones de salida (p.ej. el lead ya está etiquetado como pagado)
+        const exitReason = matchExitCondition(def, lead);
+        if (exitReason) {
           seq.completed = true;
           dirty = true;
+          await logBranch(lead.id, `Secuencia ${trigger} finalizada por ${exitReason}`,
+            { sequence: trigger, step: seq.index, action: 'exit', reason: exitReason });
           continue;
         }
 
-        const msg = msgs[index];
-        const sendAt = new Date(startTime).getTime() + msg.delay * 60000;
+        // b) Saltos según la respuesta del lead al último paso enviado
+        const jump = findReplyJump(msgs[seq.index - 1], lead, seq);
+        if (jump) {
+          const fromStep = seq.index - 1;
+          seq.replyHandledAt = lead.lastInboundAt.toDate?.().toISOString() || lead.lastInboundAt;
+          dirty = true;
+          if (jump.toSequence) {
+            seq.completed = true;
+            nuevas.push({ trigger: jump.toSequence, startTime: new Date().toISOString(), index: 0 });
+            await logBranch(lead.id,
+              `Secuencia ${trigger}: respuesta "${lead.lastInboundText}" → secuencia ${jump.toSequence}`,
+              { sequence: trigger, step: fromStep, action: 'jump', toSequence: jump.toSequence });
+            continue;
+          }
+          // Rebasamos startTime para que el paso destino toque ahora
+          // (los pasos { day, at } siguen contando días desde el nuevo inicio)
+          const target = resolveStepIndex(msgs, jump.toStep);
+          seq.index = target;
+          seq.startTime = new Date(Date.now() - (msgs[target]?.delay || 0) * 60000).toISOString();
+          await logBranch(lead.id,
+            `Secuencia ${trigger}: respuesta "${lead.lastInboundText}" → paso ${target}`,
+            { sequence: trigger, step: fromStep, action: 'jump', toStep: target });
+        }
+
+        if (seq.index >= msgs.length) {
+          seq.completed = true;
+          dirty = true;
+          continue;
+        }
+
+        const msg = msgs[seq.index];
+        // Hora local del lead, respetando horas de silencio
+        const sendAt = stepSendTime(msg, seq.startTime, lead, schedCfg).getTime();
         if (Date.now() < sendAt) continue;
 
+        // c) Pasos condicionados a etiquetas: si no aplica, se omite
+        if (!stepConditionsMet(msg, lead)) {
+          await logBranch(lead.id, `Secuencia ${trigger}: paso ${seq.index} omitido por condiciones`,
+            { sequence: trigger, step: seq.index, action: 'skip' });
+          seq.index++;
+          dirty = true;
+          continue;
+        }
+
+        // Un paso atrasado (caída, salto por respuesta, `delay`) espera a que
+        // terminen las horas de silencio del lead
+        if (!canSendNow(lead, schedCfg)) continue;
+
         // Enviar y luego registrar en Firestore
         await enviarMensaje(lead, msg);
         await db
@@ -273,12 +286,13 @@ async function processSequences() {
             timestamp: new Date()
           });
 
+        seq.lastSentAt = new Date().toISOString();
         seq.index++;
         dirty = true;
       }
 
       if (dirty) {
-        const rem = lead.secuenciasActivas.filter(s => !s.completed);
+        const rem = lead.secuenciasActivas.filter(s => !s.completed).concat(nuevas);
         await db.collection('leads').doc(lead.id).update({ secuenciasActivas: rem });
       }
     }
@@ -303,6 +317,7 @@ async function generateLetras() {
       const data = docSnap.data();
       const leadId = data.leadId;
       const MAX = 750;
+      const notasVoz = await getLeadTranscripts(leadId);
 const prompt = `
 Escribe una letra de canción con lenguaje simple, siguiendo esta estructura:
 verso 1, verso 2, coro, verso 3, verso 4 y coro. Agrega el título en negritas.
@@ -310,10 +325,11 @@ verso 1, verso 2, coro, verso 3, verso 4 y coro. Agrega el título en negritas.
 Propósito: ${data.purpose}.
 Nombre: ${data.includeName}.
 Anécdotas o frases: ${data.anecdotes}.
+${notasVoz ? `Lo que contó el cliente en sus notas de voz: ${notasVoz}` : ''}
 `.trim();
       console.log(`📝 prompt para ${docSnap.id}:\n${prompt}`);
 
-      const response = await openai.createChatCompletion({
+      const response = await getOpenAI().createChatCompletion({
         model: 'gpt-4o',
         messages: [
           { role: 'system', content: 'Eres un compositor creativo.' },
@@ -325,9 +341,11 @@ Anécdotas o frases: ${data.anecdotes}.
       if (!letra) continue;
 
       console.log(`✅ letra generada para ${docSnap.id}`);
-      // 1) Actualiza el doc en 'letras'
+      // 1) Actualiza el doc en 'letras' (primera versión de la letra)
+      const lyricsVersion = await saveLyricsVersion(docSnap.ref, data, letra, { source: 'generada' });
       await docSnap.ref.update({
         letra,
+        lyricsVersion,
         status: 'enviarLetra',
         letraGeneratedAt: FieldValue.serverTimestamp()
       });
@@ -348,35 +366,143 @@ Anécdotas o frases: ${data.anecdotes}.
   }
 }
 
+/**
+ * Reescribe una letra con los cambios que pidió el cliente, usando la
+ * versión anterior como base.
+ */
+async function reescribirLetra({ previous, changes, purpose, includeName }) {
+  const prompt = `
+Esta es la letra actual de una canción personalizada:
+
+${previous}
+
+El cliente pidió estos cambios: "${changes}".
+Reescríbela aplicando sólo esos cambios y conservando lo demás, con la misma
+estructura (verso 1, verso 2, coro, verso 3, verso 4 y coro) y el título en negritas.
+Propósito: ${purpose}.
+Nombre: ${includeName}.
+No incluyas texto adicional ni explicaciones.
+  `.trim();
+
+  const resp = await getOpenAI().createChatCompletion({
+    model: 'gpt-4o',
+    messages: [
+      { role: 'system', content: 'Eres un compositor creativo.' },
+      { role: 'user',   content: prompt }
+    ],
+    max_tokens: 500
+  });
+  return resp.data.choices?.[0]?.message?.content?.trim();
+}
+
+/**
+ * Regenera las letras de 'letras' en status 'Revisar letra' con los cambios
+ * pedidos y las devuelve a 'enviarLetra' como nueva versión.
+ */
+async function reviseLetras() {
+  try {
+    const snap = await db.collection('letras').where('status', '==', 'Revisar letra').get();
+    for (const docSnap of snap.docs) {
+      const data = docSnap.data();
+      try {
+        const letra = await reescribirLetra({
+          previous: data.letra,
+          changes:  data.revisionRequest?.changes || '',
+          purpose:  data.purpose,
+          includeName: data.includeName
+        });
+        if (!letra) continue;
+
+        const lyricsVersion = await saveLyricsVersion(docSnap.ref, data, letra, {
+          source:  'revision',
+          changes: data.revisionRequest?.changes || null
+        });
+        await docSnap.ref.update({
+          letra,
+          lyricsVersion,
+          status: 'enviarLetra',
+          letraGeneratedAt: FieldValue.serverTimestamp()
+        });
+        if (data.leadId) await db.collection('leads').doc(data.leadId).update({ letra });
+        console.log(`✅ reviseLetras: versión ${lyricsVersion} de ${docSnap.id}`);
+      } catch (err) {
+        console.error(`❌ reviseLetras (${docSnap.id}):`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Error en reviseLetras:', err);
+  }
+}
+
 
 /**
  * Envía por WhatsApp las letras generadas (status 'enviarLetra'),
  * añade trigger 'LetraEnviada' al lead y marca status → 'enviada'.
  * Solo envía si han pasado al menos 15 minutos desde 'letraGeneratedAt'.
+ * Los mensajes van al outbox (grupo `letra:<id>`); la letra sólo pasa a
+ * 'enviada' cuando el outbox confirma el lote completo.
  */
 async function sendLetras() {
   try {
     const now = Date.now();
     const snap = await db.collection('letras').where('status', '==', 'enviarLetra').get();
+    const handoffMs = snap.empty ? 0 : await getHandoffInactivityMs();
+    const schedCfg = snap.empty ? null : await getSchedulingConfig();
     const VIDEO_URL = 'https://cantalab.com/wp-content/uploads/2025/04/WhatsApp-Video-2025-04-23-at-8.01.51-PM.mp4';
     const AUDIO_URL = 'https://cantalab.com/wp-content/uploads/2024/11/JTKlhy_inbox.oga';
 
     for (const docSnap of snap.docs) {
       const data = docSnap.data();
       const { leadId, letra, requesterName, letraGeneratedAt } = data;
+      // Las revisiones sólo reenvían la letra nueva con los botones de aprobación
+      const version  = data.lyricsVersion || 1;
+      const revision = version > 1;
+      const group = revision ? `letra:${docSnap.id}:v${version}` : `letra:${docSnap.id}`;
+
+      // 1) ¿Ya está en el outbox? Sólo falta confirmar la entrega
+      const outbox = await getGroupStatus(group);
+      if (outbox.total > 0) {
+        if (outbox.failed) {
+          // Se reanuda con POST /api/outbox/:group/retry
+          console.error(`❌ sendLetras: ${outbox.failed} mensajes fallidos para ${docSnap.id} (${group})`);
+          await docSnap.ref.update({ status: 'errorEnvio' });
+          continue;
+        }
+        if (outbox.sent < outbox.total) continue;
+
+        // Outbox confirmado: la primera versión entregada (aunque sea una
+        // revisión pedida antes de confirmar la v1) etiqueta al lead y
+        // arranca su secuencia
+        if (!data.letraEnviadaAt) {
+          await db.collection('leads').doc(leadId).update({
+            etiquetas: FieldValue.arrayUnion('LetraEnviada'),
+            secuenciasActivas: FieldValue.arrayUnion({
+              trigger: 'LetraEnviada',
+              startTime: new Date().toISOString(),
+              index: 0
+            })
+          });
+        }
+        await docSnap.ref.update({ status: 'enviada', letraEnviadaAt: data.letraEnviadaAt || new Date() });
+        continue;
+      }
 
-      // 1) Validaciones básicas
+      // 2) Validaciones básicas
       if (!leadId || !letra || !letraGeneratedAt) continue;
       const genTime = letraGeneratedAt.toDate().getTime();
-      if (now - genTime < 15 * 60 * 1000) continue;
+      if (!revision && now - genTime < 15 * 60 * 1000) continue;
 
-      // 2) Hacer lookup del lead para obtener su número
+      // 3) Hacer lookup del lead para obtener su número
       const leadRef = db.collection('leads').doc(leadId);
       const leadSnap = await leadRef.get();
       if (!leadSnap.exists) {
         console.warn(`Lead no encontrado: ${leadId}`);
         continue;
       }
+      // Si un agente atiende el chat, la letra espera a que lo libere
+      if (await checkHandoff({ id: leadId, ...leadSnap.data() }, handoffMs)) continue;
+      // En horas de silencio del lead, se envía en la siguiente ventana
+      if (!canSendNow(leadSnap.data(), schedCfg)) continue;
       const telefono = leadSnap.data().telefono || '';
       const phoneClean = telefono.replace(/\D/g, '');
       if (!/^\d{10,15}$/.test(phoneClean)) {
@@ -386,53 +512,43 @@ async function sendLetras() {
 
       const firstName = (requesterName || '').trim().split(' ')[0] || '';
 
-      // 3) Mensaje de cierre
+      // 4) Mensaje de cierre
       const greeting = `Listo ${firstName}, ya terminé la letra para tu canción. *Léela y dime si te gusta.*`;
-      await sendTextMessage(phoneClean, greeting);
-      await db
-        .collection('leads').doc(leadId).collection('messages')
-        .add({ content: greeting, sender: 'business', timestamp: new Date() });
-
-      // 4) Enviar la letra
-      await sendTextMessage(phoneClean, letra);
-      await db
-        .collection('leads').doc(leadId).collection('messages')
-        .add({ content: letra, sender: 'business', timestamp: new Date() });
-
-      // 5) Enviar audio introductorio
-      await sendAudioMessage(phoneClean, AUDIO_URL);
-      await db
-        .collection('leads').doc(leadId).collection('messages')
-        .add({ mediaType: 'audio', mediaUrl: AUDIO_URL, sender: 'business', timestamp: new Date() });
-
-      // 6) Enviar el video como enlace de texto
-      await sendVideoMessage(phoneClean, VIDEO_URL);
-      await db
-        .collection('leads').doc(leadId).collection('messages')
-        .add({ mediaType: 'video', mediaUrl: VIDEO_URL, sender: 'business', timestamp: new Date() });
-
-      // 7) Mensaje promocional
+
+      // 5) Mensaje promocional
       const promo =
         `${firstName} el costo normal es de $1997 MXN pero tenemos la promocional esta semana de $697 MXN.\n\n` +
         `Puedes pagar en esta cuenta:\n\n🏦 Transferencia bancaria:\n` +
         `Cuenta: 4152 3143 2669 0826\nBanco: BBVA\nTitular: Iván Martínez Jiménez\n\n` +
         `🌐 Pago en línea o en dolares 🇺🇸 (45 USD):\n` +
         `https://cantalab.com/tu-cancion-mx/`;
-      await sendTextMessage(phoneClean, promo);
-      await db
-        .collection('leads').doc(leadId).collection('messages')
-        .add({ content: promo, sender: 'business', timestamp: new Date() });
 
-      // 8) Actualizar lead y marcar letra enviada
-      await leadRef.update({
-        etiquetas: FieldValue.arrayUnion('LetraEnviada'),
-        secuenciasActivas: FieldValue.arrayUnion({
-          trigger: 'LetraEnviada',
-          startTime: new Date().toISOString(),
-          index: 0
-        })
-      });
-      await docSnap.ref.update({ status: 'enviada' });
+      // 6) Botones para aprobar la letra o pedir cambios
+      const aprobacion = {
+        step: 'aprobacion',
+        message: approvalMessage('letras', docSnap.id, version, '¿Qué te pareció la letra?')
+      };
+      if (revision) {
+        await enqueueOutbox(group, [
+          { step: 'letra', message: { type: 'text', content: `${firstName}, esta es la nueva versión de tu letra:\n\n${letra}` } },
+          aprobacion
+        ], { leadId, phone: phoneClean });
+        await awaitLyricsReview(leadId, 'letras', docSnap.id, version);
+        console.log(`📨 sendLetras: versión ${version} de ${docSnap.id} encolada en el outbox`);
+        continue;
+      }
+
+      // 7) Encolar saludo, letra, aprobación, audio introductorio, video y promo
+      await enqueueOutbox(group, [
+        { step: 'saludo', message: { type: 'text',  content: greeting } },
+        { step: 'letra',  message: { type: 'text',  content: letra } },
+        aprobacion,
+        { step: 'audio',  message: { type: 'audio', media: AUDIO_URL, voice: true } },
+        { step: 'video',  message: { type: 'video', media: VIDEO_URL } },
+        { step: 'promo',  message: { type: 'text',  content: promo } }
+      ], { leadId, phone: phoneClean });
+      await awaitLyricsReview(leadId, 'letras', docSnap.id, version);
+      console.log(`📨 sendLetras: letra ${docSnap.id} encolada en el outbox`);
     }
   } catch (err) {
     console.error('❌ Error en sendLetras:', err);
@@ -440,360 +556,568 @@ async function sendLetras() {
 }
 
 
+/**
+ * Genera la letra de un doc 'musica' en 'Sin letra' → 'Enviar letra'
+ * (el cliente la aprueba antes de generar la música).
+ */
 async function generarLetraParaMusica() {
-  const snap = await db.collection('musica')
-    .where('status', '==', 'Sin letra')
-    .limit(1)
-    .get();
-  if (snap.empty) return;
-
-  const docSnap = snap.docs[0];
-  const d       = docSnap.data();
-  const prompt = `
+  const [job] = await claimStage('Sin letra');
+  if (!job) return;
+
+  const d = job.data;
+  try {
+    const notasVoz = await getLeadTranscripts(d.leadId);
+    const prompt = `
 Escribe una letra de canción con lenguaje simple siguiendo esta estructura:
 verso 1, verso 2, coro, verso 3, verso 4 y coro.
 Agrega título en negritas.
 Propósito: ${d.purpose}.
 Nombre: ${d.includeName}.
 Anecdotas: ${d.anecdotes}.
-  `.trim();
-
-  // Generamos la letra con OpenAI
-  const resp = await openai.createChatCompletion({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: 'Eres un compositor creativo.' },
-      { role: 'user',   content: prompt }
-    ],
-    max_tokens: 400,
-  });
-  const letra = resp.data.choices?.[0]?.message?.content?.trim();
-  if (!letra) throw new Error(`No letra para ${docSnap.id}`);
-
-  // 1) Actualiza el documento en 'musica'
-  await docSnap.ref.update({
-    lyrics: letra,
-    status: 'Sin prompt',
-    lyricsGeneratedAt: FieldValue.serverTimestamp()
-  });
-  console.log(`✅ generarLetraParaMusica: letra generada para ${docSnap.id}`);
-
-  // 2) Guarda la letra también en el lead asociado
-  if (data.leadId) {
-    const leadRef = db.collection('leads').doc(data.leadId);
-    await leadRef.update({
-      letra,                                      // campo rápido para acceso
-      letraIds: FieldValue.arrayUnion(docSnap.id) // histórico de IDs
+${notasVoz ? `Lo que contó el cliente en sus notas de voz: ${notasVoz}` : ''}
+    `.trim();
+
+    // Generamos la letra con OpenAI
+    const resp = await getOpenAI().createChatCompletion({
+      model: 'gpt-4o',
+      messages: [
+        { role: 'system', content: 'Eres un compositor creativo.' },
+        { role: 'user',   content: prompt }
+      ],
+      max_tokens: 400,
+    });
+    const letra = resp.data.choices?.[0]?.message?.content?.trim();
+    if (!letra) throw new Error(`No letra para ${job.id}`);
+
+    // 1) Actualiza el documento en 'musica': la letra se envía al cliente
+    //    para que la apruebe antes de pasar a Suno
+    const lyricsVersion = await saveLyricsVersion(job.ref, d, letra, { source: 'generada' });
+    await completeStage(job, 'Enviar letra', {
+      lyrics: letra,
+      lyricsVersion,
+      lyricsGeneratedAt: FieldValue.serverTimestamp()
     });
-    console.log(`✅ letra guardada en lead ${data.leadId}`);
-  } else {
-    console.warn(`⚠️ generarLetraParaMusica: no existe leadId en ${docSnap.id}`);
+    console.log(`✅ generarLetraParaMusica: letra generada para ${job.id}`);
+
+    // 2) Guarda la letra también en el lead asociado
+    if (d.leadId) {
+      const leadRef = db.collection('leads').doc(d.leadId);
+      await leadRef.update({
+        letra,                                   // campo rápido para acceso
+        letraIds: FieldValue.arrayUnion(job.id)  // histórico de IDs
+      });
+      console.log(`✅ letra guardada en lead ${d.leadId}`);
+    } else {
+      console.warn(`⚠️ generarLetraParaMusica: no existe leadId en ${job.id}`);
+    }
+  } catch (err) {
+    console.error(`❌ Error en generarLetraParaMusica (${job.id}):`, err.message);
+    await releaseStage(job, err);
   }
 }
 
 
 
 /**
- * Genera y refina automáticamente el prompt para Suno usando ChatGPT.
- * Pasa de status 'Sin prompt' → 'Sin música'.
+ * Regenera la letra de un doc 'musica' en 'Revisar letra' con los cambios
+ * pedidos por el cliente → 'Enviar letra' como nueva versión.
  */
-async function generarPromptParaMusica() {
-  // 1) Recupera un documento pendiente
-  const snap = await db.collection('musica')
-    .where('status', '==', 'Sin prompt')
-    .limit(1)
-    .get();
-  if (snap.empty) return;
-
-  const docSnap = snap.docs[0];
-  const { artist, genre, voiceType } = docSnap.data();
-
-  // 2) Borrador del prompt
-  const draft = `
-  Crea un promt para decirle a suno que haga una canción estilo exitos de  ${artist} genero 
-   ${genre} con tipo de voz ${voiceType}. Sin mencionar al artista en cuestion u otras palabras
-    que puedan causar conflictos de derecho de autor, centrate en los elementos musicales como ritmo, instrumentos,
-     generos. Suno requiere que sean maximo 120 caracteres y que le pases los elementos separados por coma, 
-     mira este ejemplo ( rock pop con influencias en blues, guitarra electrica, ritmo de bateria energico)
-      genera algo similar para cancion que quiero.
-  `.trim();
+async function revisarLetraMusica() {
+  const [job] = await claimStage('Revisar letra');
+  if (!job) return;
 
-  // 3) Usa ChatGPT para refinar el borrador
-  const gptRes = await openai.createChatCompletion({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: 'Eres un redactor creativo de prompts musicales.' },
-      { role: 'user', content: `Refina este borrador para que tenga menos de 120 caracteres y sólo liste los elementos separados por comas: "${draft}"` }
-    ]
-  });
+  const d = job.data;
+  try {
+    const changes = d.revisionRequest?.changes || '';
+    const letra = await reescribirLetra({
+      previous: d.lyrics,
+      changes,
+      purpose:  d.purpose,
+      includeName: d.includeName
+    });
+    if (!letra) throw new Error(`No letra revisada para ${job.id}`);
 
-  const stylePrompt = gptRes.data.choices[0].message.content.trim();
+    const lyricsVersion = await saveLyricsVersion(job.ref, d, letra, { source: 'revision', changes });
+    await completeStage(job, 'Enviar letra', {
+      lyrics: letra,
+      lyricsVersion,
+      lyricsGeneratedAt: FieldValue.serverTimestamp()
+    });
+    if (d.leadId) await db.collection('leads').doc(d.leadId).update({ letra });
+    console.log(`✅ revisarLetraMusica: versión ${lyricsVersion} de ${job.id}`);
+  } catch (err) {
+    console.error(`❌ Error en revisarLetraMusica (${job.id}):`, err.message);
+    await releaseStage(job, err);
+  }
+}
 
-  // 4) Guarda el prompt refinado en Firestore y avanza el estado
-  await docSnap.ref.update({
-    stylePrompt,
-    status: 'Sin música'
+/**
+ * Envía la letra vigente de los docs en 'Enviar letra' con los botones de
+ * aprobación (grupo del outbox `musicaLetra:<id>:v<n>`) y sólo pasa a
+ * 'Letra por aprobar' cuando el outbox confirma la entrega; si falla, el
+ * pedido queda en 'Error envío letra' hasta que se reintente el grupo.
+ */
+async function enviarLetraParaAprobacion() {
+  const schedCfg = await getSchedulingConfig();
+  const jobs = await claimStage('Enviar letra', {
+    limit: 10,
+    filter: d => canSendNow({ telefono: d.leadPhone }, schedCfg)
   });
+  const handoffMs = jobs.length ? await getHandoffInactivityMs() : 0;
 
-  console.log(`✅ generarPromptParaMusica: ${docSnap.id} → "${stylePrompt}"`);
-}
-
+  for (const job of jobs) {
+    const d = job.data;
+    const phone = (d.leadPhone || '').replace(/\D/g, '');
+    const version = d.lyricsVersion || 1;
+    const group = lyricsGroup(job.id, version);
+    try {
+      const outbox = await getGroupStatus(group);
 
+      if (outbox.total === 0) {
+        if (!phone || !d.lyrics || !d.leadId) {
+          await releaseStage(job, new Error('faltan leadPhone, lyrics o leadId'));
+          continue;
+        }
+        const leadSnap = await db.collection('leads').doc(d.leadId).get();
+        // Si un agente atiende el chat, la letra espera a que lo libere
+        if (leadSnap.exists && await checkHandoff({ id: d.leadId, ...leadSnap.data() }, handoffMs)) {
+          await releaseStage(job);
+          continue;
+        }
 
+        const intro = version > 1
+          ? 'Esta es la nueva versión de la letra de tu canción:'
+          : 'Esta es la letra que escribimos para tu canción:';
+        await enqueueOutbox(group, [
+          { step: 'letra',      message: { type: 'text', content: `${intro}\n\n${d.lyrics}` } },
+          { step: 'aprobacion', message: approvalMessage('musica', job.id, version,
+            '¿Te gusta? Cuando la apruebes le ponemos música 🎶') }
+        ], { leadId: d.leadId, phone });
+        // Con el grupo guardado, una respuesta antes de confirmar la entrega ya vale
+        await job.ref.update({ lyricsOutboxGroup: group });
+        if (leadSnap.exists) await awaitLyricsReview(d.leadId, 'musica', job.id, version);
+        console.log(`📨 enviarLetraParaAprobacion: ${job.id} v${version} encolada`);
+        await releaseStage(job);
+        continue;
+      }
 
+      if (outbox.failed) {
+        // Sin reintento automático: se reanuda con POST /api/outbox/:group/retry
+        await completeStage(job, 'Error envío letra', {
+          errorMsg: `${outbox.failed} mensajes fallidos en el outbox (${group})`
+        });
+        continue;
+      }
+      if (outbox.sent < outbox.total) {
+        await releaseStage(job);
+        continue;
+      }
 
-// ————————————
-// Helpers Suno
-// ————————————
+      await completeStage(job, 'Letra por aprobar', { lyricsSentAt: FieldValue.serverTimestamp() });
+      console.log(`✅ enviarLetraParaAprobacion: ${job.id} v${version} entregada`);
+    } catch (err) {
+      console.error(`❌ Error en enviarLetraParaAprobacion (${job.id}):`, err.message);
+      await releaseStage(job, err);
+    }
+  }
+}
 
 /**
- * Lanza la generación de música en Suno y retorna el taskId.
- */
-/**
- * Lanza la generación de música en Suno y retorna el taskId.
+ * Genera y refina automáticamente el prompt para Suno usando ChatGPT.
+ * Pasa de status 'Sin prompt' → 'Sin música'.
  */
-async function lanzarTareaSuno({ title, stylePrompt, lyrics }) {
-  const url  = 'https://apibox.erweima.ai/api/v1/generate';
-  const body = {
-    model:        "V4_5",
-    customMode:   true,
-    instrumental: false,
-    title,
-    style:        stylePrompt,
-    prompt:       lyrics,
-    callbackUrl:  process.env.CALLBACK_URL  // tu endpoint /api/suno/callback
-  };
-
-  console.log('🛠️ Suno request:', { body });
-  const res = await axios.post(url, body, {
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization:  `Bearer ${process.env.SUNO_API_KEY}`
-    }
-  });
-  console.log('🛠️ Suno response:', res.status, res.data);
+async function generarPromptParaMusica() {
+  // 1) Reclama un documento pendiente
+  const [job] = await claimStage('Sin prompt');
+  if (!job) return;
+
+  const { artist, genre, voiceType } = job.data;
+
+  try {
+    // 2) Borrador del prompt
+    const draft = `
+    Crea un promt para decirle a suno que haga una canción estilo exitos de  ${artist} genero 
+     ${genre} con tipo de voz ${voiceType}. Sin mencionar al artista en cuestion u otras palabras
+      que puedan causar conflictos de derecho de autor, centrate en los elementos musicales como ritmo, instrumentos,
+       generos. Suno requiere que sean maximo 120 caracteres y que le pases los elementos separados por coma, 
+       mira este ejemplo ( rock pop con influencias en blues, guitarra electrica, ritmo de bateria energico)
+        genera algo similar para cancion que quiero.
+    `.trim();
+
+    // 3) Usa ChatGPT para refinar el borrador
+    const gptRes = await getOpenAI().createChatCompletion({
+      model: 'gpt-4o',
+      messages: [
+        { role: 'system', content: 'Eres un redactor creativo de prompts musicales.' },
+        { role: 'user', content: `Refina este borrador para que tenga menos de 120 caracteres y sólo liste los elementos separados por comas: "${draft}"` }
+      ]
+    });
+
+    const stylePrompt = gptRes.data.choices[0].message.content.trim();
 
-  if (res.data.code !== 200 || !res.data.data?.taskId) {
-    throw new Error(`No taskId recibido de Suno. Respuesta: ${JSON.stringify(res.data)}`);
+    // 4) Guarda el prompt refinado en Firestore y avanza el estado
+    await completeStage(job, 'Sin música', { stylePrompt });
+
+    console.log(`✅ generarPromptParaMusica: ${job.id} → "${stylePrompt}"`);
+  } catch (err) {
+    console.error(`❌ Error en generarPromptParaMusica (${job.id}):`, err.message);
+    await releaseStage(job, err);
   }
-  return res.data.data.taskId;
 }
 
 
 
+
+
 /**
- * Busca un documento con status 'Sin música', lanza la tarea en Suno
- * y guarda el taskId en Firestore. El webhook se encargará de actualizar
- * el audioUrl y el status cuando Suno lo notifique.
+ * Reclama un documento con status 'Sin música' (pasa a 'Procesando música'),
+ * lanza la tarea con su proveedor de música (Suno por defecto, ver
+ * services/musicProviders) y guarda taskId, proveedor y modelo. El callback se
+ * encargará de actualizar el audio y el status cuando el proveedor lo notifique;
+ * si no llega antes de que expire el lease, vuelve a 'Sin música'.
  */
 async function generarMusicaConSuno() {
-  // 1) Selecciona un documento pendiente de música
-  const snap = await db.collection('musica')
-    .where('status', '==', 'Sin música')
-    .limit(1)
-    .get();
-  if (snap.empty) return;  // no hay nada que procesar
-
-  const doc = snap.docs[0];
-  const docRef = doc.ref;
-  const { stylePrompt, purpose, lyrics } = doc.data();
-
-  // 2) Marca como “Procesando música”
-  await docRef.update({ 
-    status: 'Procesando música',
-    generatedAt: FieldValue.serverTimestamp()
-  
-  });
+  // 1) Reclama un documento pendiente de música
+  const [job] = await claimStage('Sin música');
+  if (!job) return;  // no hay nada que procesar
+
+  const docRef = job.ref;
+  const { stylePrompt, purpose, lyrics } = job.data;
 
   try {
-    // 3) Lanza la tarea y guarda el taskId
-    const taskId = await lanzarTareaSuno({
+    // 2) Lanza la tarea con el proveedor del pedido y guarda el taskId
+    const { taskId, provider, model } = await launchMusicTask({
+      musicaId: docRef.id,
+      data:  job.data,
       title: purpose.slice(0, 30),   // Suno permite hasta 30 chars
       stylePrompt,
       lyrics
     });
-    await docRef.update({ taskId });
+    await docRef.update({
+      taskId,
+      musicProvider: provider,
+      musicModel:    model,
+      generatedAt: FieldValue.serverTimestamp()
+    });
 
-    console.log(`🔔 generarMusicaConSuno: lanzado task ${taskId} para ${docRef.id}`);
+    console.log(`🔔 generarMusicaConSuno: lanzado task ${taskId} (${provider}/${model}) para ${docRef.id}`);
   } catch (err) {
     console.error(`❌ Error en generarMusicaConSuno (${docRef.id}):`, err.message);
     // Marca error para no reintentar indefinidamente
-    await docRef.update({
-      status:     'Error música',
-      errorMsg:   err.message,
-      updatedAt:  FieldValue.serverTimestamp()
-    });
+    await completeStage(job, 'Error música', { errorMsg: err.message });
   }
 }
 
 
-async function procesarClips() {
-  const snap = await db.collection('musica')
-    .where('status', '==', 'Audio listo')
-    .get();
-  if (snap.empty) return;
+/**
+ * Status de error de cada paso del masterizado y del clip (ver
+ * ERROR_STATUSES de musicaStages).
+ */
+function clipError(status, err) {
+  const e = err instanceof Error ? err : new Error(err || status);
+  e.clipStatus = status;
+  return e;
+}
 
-  for (const docSnap of snap.docs) {
-    const ref    = docSnap.ref;
-    const { fullUrl } = docSnap.data();
-    const id     = docSnap.id;
+/** Variaciones del pedido (los anteriores a guardarlas sólo tienen fullUrl). */
+function variacionesDe(data) {
+  return data.variations?.length
+    ? data.variations.map(v => ({ ...v }))
+    : (data.fullUrl ? [{ fullUrl: data.fullUrl }] : []);
+}
 
-    if (!fullUrl) {
-      console.error(`[${id}] falta fullUrl`);
-      continue;
+/** Descarga el audio de una variación: de Storage si lo tenemos, si no de su URL. */
+async function descargarVariacion(storagePath, url, dest) {
+  try {
+    if (storagePath) {
+      await bucket.file(storagePath).download({ destination: dest });
+    } else {
+      await downloadStream(url, dest);
     }
+  } catch (err) {
+    throw clipError('Error descarga full', err);
+  }
+  if (!fs.existsSync(dest)) throw clipError('Error descarga full');
+}
 
-    // Marcamos que estamos procesando el clip
-    await ref.update({ status: 'Generando clip' });
-
-    // Rutas absolutas
-    const tmpFull      = path.join(os.tmpdir(), `${id}-full.mp3`);
-    const tmpClip      = path.join(os.tmpdir(), `${id}-clip.mp3`);
-    const watermarkUrl = 'https://cantalab.com/wp-content/uploads/2025/05/marca-de-agua-1-minuto.mp3';
-    const watermarkTmp  = path.join(os.tmpdir(), 'watermark.mp3');
-    const tmpWater     = path.join(os.tmpdir(), `${id}-watermarked.mp3`);
-
-    // 1) Descargar audio completo
-    await downloadStream(fullUrl, tmpFull);
-    if (!fs.existsSync(tmpFull)) {
-      console.error(`[${id}] descarga full fallida`);
-      await ref.update({ status: 'Error descarga full' });
-      continue;
+/** Sube un archivo a Storage y devuelve una Signed URL de 24h. */
+async function subirConUrl(localPath, destination, contentType) {
+  const [file] = await bucket.upload(localPath, { destination, metadata: { contentType } });
+  const [url] = await file.getSignedUrl({
+    action:  'read',
+    expires: Date.now() + 24 * 60 * 60 * 1000
+  });
+  return url;
+}
+
+/**
+ * Masteriza la canción completa de una variación (ver
+ * services/audioProcessing.js) y sube el MP3 y su versión OGG/Opus.
+ * @returns {Promise<{ masteredPath: string, voicePath: string, masterParams: Object }>}
+ */
+async function masterizarVariacion(id, variation, i, cfg) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `master-${id}-${i}-`));
+  const tmpFull   = path.join(workDir, 'full.mp3');
+  const tmpMaster = path.join(workDir, 'master.mp3');
+  const tmpVoice  = path.join(workDir, 'master.ogg');
+
+  try {
+    await descargarVariacion(variation.fullPath, variation.fullUrl, tmpFull);
+
+    let masterParams;
+    try {
+      masterParams = await masterAudio(tmpFull, tmpMaster, cfg);
+      await toVoiceNote(tmpMaster, tmpVoice, cfg);
+    } catch (err) {
+      throw clipError('Error masterizado', err);
     }
 
-    // 2) Generar clip de 60s
     try {
-      await new Promise((res, rej) => {
-        ffmpeg(tmpFull)
-          .setStartTime(0)
-          .setDuration(60)
-          .output(tmpClip)
-          .on('end', res)
-          .on('error', rej)
-          .run();
-      });
+      const masteredPath = `musica/master/${id}-${i}.mp3`;
+      const voicePath    = `musica/master/${id}-${i}.ogg`;
+      await bucket.upload(tmpMaster, { destination: masteredPath, metadata: { contentType: 'audio/mpeg' } });
+      await bucket.upload(tmpVoice,  { destination: voicePath,    metadata: { contentType: 'audio/ogg' } });
+      return { masteredPath, voicePath, masterParams };
     } catch (err) {
-      console.error(`[${id}] error generando clip:`, err);
-      await ref.update({ status: 'Error clip' });
-      continue;
+      throw clipError('Error upload master', err);
     }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
 
-    // 3) Descargar marca y superponer al clip
-    await downloadStream(watermarkUrl, watermarkTmp);
-    if (!fs.existsSync(watermarkTmp)) {
-      console.error(`[${id}] descarga watermark fallida`);
-      await ref.update({ status: 'Error watermark descarga' });
+/**
+ * Reclama los docs en 'Audio listo' (pasan a 'Masterizando'), masteriza
+ * cada variación y los deja en 'Audio masterizado'. La config usada queda
+ * en `masteringConfig` y la de cada variación en `masterParams`.
+ */
+async function masterizarAudio() {
+  const jobs = await claimStage('Audio listo', { limit: 5 });
+
+  for (const job of jobs) {
+    const id = job.id;
+    const variations = variacionesDe(job.data);
+    if (!variations.length) {
+      console.error(`[${id}] falta fullUrl`);
+      await completeStage(job, 'Error descarga full', { errorMsg: 'falta fullUrl' });
       continue;
     }
+
     try {
-      await new Promise((res, rej) => {
-        ffmpeg()
-          .input(tmpClip)
-          .input(watermarkTmp)
-          .complexFilter([
-            '[1]adelay=1000|1000,volume=0.3[beep];' +
-            '[0][beep]amix=inputs=2:duration=first'
-          ])
-          .output(tmpWater)
-          .on('end', res)
-          .on('error', rej)
-          .run();
-      });
+      const cfg = await getMasteringConfig(job.data);
+      for (const [i, variation] of variations.entries()) {
+        Object.assign(variation, await masterizarVariacion(id, variation, i, cfg));
+      }
+      await completeStage(job, 'Audio masterizado', { variations, masteringConfig: cfg });
+      console.log(`[${id}] ${variations.length} variaciones masterizadas (${cfg.targetLufs} LUFS) → Audio masterizado`);
     } catch (err) {
-      console.error(`[${id}] error aplicando watermark:`, err);
-      await ref.update({ status: 'Error watermark' });
-      continue;
+      console.error(`[${id}] error masterizando:`, err);
+      if (err.clipStatus) {
+        await completeStage(job, err.clipStatus, { errorMsg: err.message });
+      } else {
+        await releaseStage(job, err);
+      }
     }
+  }
+}
 
-    // 4) Subir clip final y obtener Signed URL
-try {
-  // 4.1) Sube el archivo
-  const [file] = await bucket.upload(tmpWater, {
-    destination: `musica/clip/${id}-clip.mp3`,
-    metadata:    { contentType: 'audio/mpeg' }
-  });
-
-  // 4.2) Genera un signed URL con expiración de 24h
-  const [clipUrl] = await file.getSignedUrl({
-    action:  'read',
-    expires: Date.now() + 24 * 60 * 60 * 1000
-  });
+/**
+ * Genera el clip con marca de agua de una variación (ver services/preview.js)
+ * a partir del audio masterizado, con su versión OGG/Opus para enviarlo como
+ * nota de voz, y sube ambos a Storage. Lanza errores con `clipStatus` para
+ * el status de error del pedido.
+ * @returns {Promise<{ clipPath, clipUrl, voiceClipPath, voiceClipUrl, clipParams }>}
+ */
+async function generarClipVariacion(id, variation, i, cfg, masteringCfg) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `clip-${id}-${i}-`));
+  const tmpFull  = path.join(workDir, 'full.mp3');
+  const tmpClip  = path.join(workDir, 'clip.mp3');
+  const tmpVoice = path.join(workDir, 'clip.ogg');
 
-  // 4.3) Actualiza Firestore
-  await ref.update({
-    clipUrl,
-    status: 'Enviar música'
-  });
+  try {
+    // 1) Descargar audio completo (el masterizado si existe)
+    await descargarVariacion(variation.masteredPath || variation.fullPath, variation.fullUrl, tmpFull);
 
-  console.log(`[${id}] clip listo → Enviar música (URL firmada)`);
-} catch (err) {
-  console.error(`[${id}] error subiendo clip:`, err);
-  await ref.update({ status: 'Error upload clip' });
-}
+    // 2) Marca de agua (caché local)
+    let watermarkFile;
+    try {
+      watermarkFile = await getWatermarkFile(cfg.watermark.url);
+    } catch (err) {
+      throw clipError('Error watermark descarga', err);
+    }
 
+    // 3) Recorte + fades + marca de agua, y su versión de nota de voz
+    let clipParams;
+    try {
+      clipParams = await renderPreview(tmpFull, tmpClip, cfg, watermarkFile);
+      await toVoiceNote(tmpClip, tmpVoice, masteringCfg);
+    } catch (err) {
+      throw clipError('Error clip', err);
+    }
 
+    // 4) Subir clips finales y obtener Signed URLs (24h)
+    try {
+      const clipPath      = `musica/clip/${id}-${i}-clip.mp3`;
+      const voiceClipPath = `musica/clip/${id}-${i}-clip.ogg`;
+      const clipUrl      = await subirConUrl(tmpClip,  clipPath,      'audio/mpeg');
+      const voiceClipUrl = await subirConUrl(tmpVoice, voiceClipPath, 'audio/ogg');
+      return { clipPath, clipUrl, voiceClipPath, voiceClipUrl, clipParams };
+    } catch (err) {
+      throw clipError('Error upload clip', err);
+    }
+  } finally {
     // Limpieza
-    [tmpFull, tmpClip, watermarkTmp, tmpWater].forEach(f => {
-      try { fs.unlinkSync(f); } catch {}
-    });
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
 }
 
+/**
+ * Reclama los docs en 'Audio masterizado' (pasan a 'Generando clip'), genera
+ * un clip con marca de agua por cada variación y los deja en 'Enviar música'.
+ * La config usada queda en `previewConfig` y la de cada clip en `clipParams`.
+ */
+async function procesarClips() {
+  const jobs = await claimStage('Audio masterizado', { limit: 5 });
+
+  for (const job of jobs) {
+    const id = job.id;
+    const variations = variacionesDe(job.data);
+    if (!variations.length) {
+      console.error(`[${id}] falta fullUrl`);
+      await completeStage(job, 'Error descarga full', { errorMsg: 'falta fullUrl' });
+      continue;
+    }
+
+    try {
+      const [cfg, masteringCfg] = await Promise.all([
+        getPreviewConfig(job.data),
+        getMasteringConfig(job.data)
+      ]);
+      for (const [i, variation] of variations.entries()) {
+        // Un clip regenerado repite el inicio ya detectado para esa variación
+        const startSec = cfg.start === 'auto' && variation.clipParams?.auto
+          ? variation.clipParams.startSec
+          : undefined;
+        Object.assign(variation,
+          await generarClipVariacion(id, variation, i, { ...cfg, startSec }, masteringCfg));
+      }
+
+      // clipUrl (primera variación) se mantiene para el resto del pipeline
+      await completeStage(job, 'Enviar música', {
+        variations,
+        clipUrl:       variations[0].clipUrl,
+        voiceClipUrl:  variations[0].voiceClipUrl,
+        previewConfig: cfg
+      });
+      console.log(`[${id}] ${variations.length} clips listos → Enviar música`);
+    } catch (err) {
+      console.error(`[${id}] error procesando clip:`, err);
+      if (err.clipStatus) {
+        await completeStage(job, err.clipStatus, { errorMsg: err.message });
+      } else {
+        // Error inesperado: devolvemos el doc a 'Audio masterizado'
+        await releaseStage(job, err);
+      }
+    }
+  }
+}
 
 
 // 4) Enviar música por WhatsApp (Enviar música → Enviada)
+//    Los mensajes van al outbox (grupo `musica:<id>`) y el doc sólo pasa a
+//    'Enviada' cuando el outbox confirma el lote completo.
 async function enviarMusicaPorWhatsApp() {
-  // 1) Buscamos todos los docs listos para enviar
-  const snap = await db.collection('musica')
-    .where('status', '==', 'Enviar música')
-    .get();
-  if (snap.empty) return;
-
   const now = Date.now();
+  const schedCfg = await getSchedulingConfig();
+
+  // 1) Reclamamos los docs listos para enviar (sólo si han pasado ≥15 minutos
+  //    desde createdAt y no son horas de silencio en la zona del lead)
+  const jobs = await claimStage('Enviar música', {
+    limit: 10,
+    filter: d => now - (d.createdAt?.toDate?.().getTime() || now) >= 15 * 60_000
+      && canSendNow({ telefono: d.leadPhone }, schedCfg)
+  });
+  const handoffMs = jobs.length ? await getHandoffInactivityMs() : 0;
 
-  for (const docSnap of snap.docs) {
-    const data    = docSnap.data();
-    const ref     = docSnap.ref;
+  for (const job of jobs) {
+    const data    = job.data;
     const leadId  = data.leadId;
     const phone   = (data.leadPhone || '').replace(/\D/g, '');
     const lyrics  = data.lyrics;
     const clip    = data.clipUrl;
-    const created = data.createdAt?.toDate?.().getTime() || now;
+    const group   = `musica:${job.id}`;
+
+    try {
+      const outbox = await getGroupStatus(group);
 
-    // 2) Sólo enviamos si han pasado ≥15 minutos desde createdAt
-    if (now - created < 15 * 60_000) continue;
+      if (outbox.total === 0) {
+        if (!phone || !lyrics || !clip) {
+          console.warn(`❌ faltan datos en doc ${job.id}`);
+          await releaseStage(job, new Error('faltan leadPhone, lyrics o clipUrl'));
+          continue;
+        }
 
-    if (!phone || !lyrics || !clip) {
-      console.warn(`❌ faltan datos en doc ${docSnap.id}`);
-      continue;
-    }
+        // --- Traemos el nombre del lead ---
+        const leadSnap = await db.collection('leads').doc(leadId).get();
+        // Si un agente atiende el chat, el envío espera a que lo libere
+        if (leadSnap.exists && await checkHandoff({ id: leadId, ...leadSnap.data() }, handoffMs)) {
+          await releaseStage(job);
+          continue;
+        }
+        const leadName = leadSnap.exists
+          ? (leadSnap.data().name || '').split(' ')[0]
+          : '';
+
+        // --- 2) Mensaje1: Saludo + letra ---
+        const saludo = leadName
+          ? `Hola ${leadName}, esta es la letra que hicimos para tu canción:`
+          : `Esta es la letra que hicimos para tu canción:`;
+
+        // --- 3) Mensaje2: Pregunta de feedback · Mensaje3+: un clip por variación ---
+        const clips = (data.variations || []).filter(v => v.clipUrl);
+        // La versión OGG/Opus se envía como nota de voz; los clips previos, como archivo
+        const clipMessage = v => v.voiceClipUrl
+          ? { type: 'audio', media: v.voiceClipUrl, voice: true }
+          : { type: 'audio', media: v.clipUrl };
+        const items = [
+          { step: 'letra',    message: { type: 'text',  content: `${saludo}\n\n${lyrics}` } }
+        ];
+        if (clips.length > 1) {
+          items.push(
+            { step: 'feedback', message: { type: 'text', content: `¿Cómo la vez? Le pusimos música y quedaron estas ${clips.length} versiones.` } },
+            ...clips.map((v, i) => ({ step: `clip${i + 1}`, message: clipMessage(v) })),
+            { step: 'seleccion', message: variationButtons(job.id, clips.length) }
+          );
+        } else {
+          items.push(
+            { step: 'feedback', message: { type: 'text',  content: `¿Cómo la vez? Le pusimos música y quedó de esta manera.` } },
+            { step: 'clip',     message: clipMessage(clips[0] || { clipUrl: clip }) }
+          );
+        }
+        await enqueueOutbox(group, items, { leadId, phone });
+        console.log(`📨 enviarMusicaPorWhatsApp: ${job.id} encolado en el outbox`);
+        await releaseStage(job);
+        continue;
+      }
 
-    try {
-      // --- Traemos el nombre del lead ---
-      const leadSnap = await db.collection('leads').doc(leadId).get();
-      const leadName = leadSnap.exists
-        ? (leadSnap.data().name || '').split(' ')[0]
-        : '';
-
-      // --- 3) Mensaje1: Saludo + letra ---
-      const saludo = leadName
-        ? `Hola ${leadName}, esta es la letra que hicimos para tu canción:`
-        : `Esta es la letra que hicimos para tu canción:`;
-      await sendTextMessage(phone, `${saludo}\n\n${lyrics}`);
-
-      // --- 4) Mensaje2: Pregunta de feedback ---
-      await sendTextMessage(phone, `¿Cómo la vez? Le pusimos música y quedó de esta manera.`);
-
-      // --- 5) Mensaje3: Enviar el clip de audio ---
-      await sendAudioMessage(phone, clip);
-
-      // --- 6) Actualizar estado en Firestore ---
-      await ref.update({
-        status: 'Enviada',
+      if (outbox.failed) {
+        // Sin reintento automático: un agente lo reanuda con retryFailedGroup()
+        await completeStage(job, 'Error envío', {
+          errorMsg: `${outbox.failed} mensajes fallidos en el outbox (${group})`
+        });
+        continue;
+      }
+      if (outbox.sent < outbox.total) {
+        await releaseStage(job);
+        continue;
+      }
+
+      // --- 4) Outbox confirmado: actualizar estado en Firestore ---
+      await completeStage(job, 'Enviada', {
         sentAt: FieldValue.serverTimestamp()
       });
 
-      // --- 7) Añadir secuencia "CancionEnviada" al lead ---
+      // --- 5) Añadir secuencia "CancionEnviada" al lead ---
       await db.collection('leads').doc(leadId).update({
         secuenciasActivas: FieldValue.arrayUnion({
           trigger:   'CancionEnviada',
@@ -804,7 +1128,8 @@ async function enviarMusicaPorWhatsApp() {
 
       console.log(`✅ Mensajes y clip enviados al ${phone}, secuencia CancionEnviada agregada.`);
     } catch (err) {
-      console.error(`❌ Error enviando música para doc ${docSnap.id}:`, err);
+      console.error(`❌ Error enviando música para doc ${job.id}:`, err);
+      await releaseStage(job, err);
     }
   }
 }
@@ -817,11 +1142,14 @@ async function enviarMusicaPorWhatsApp() {
 export {
   processSequences,
   generateLetras,
+  reviseLetras,
   sendLetras,
   generarLetraParaMusica,
+  revisarLetraMusica,
+  enviarLetraParaAprobacion,
   generarPromptParaMusica,
   generarMusicaConSuno,
-  procesarClips, 
-  retryStuckMusic,
+  masterizarAudio,
+  procesarClips,
   enviarMusicaPorWhatsApp
 };
\ No newline at end of file
@@ -19,17 +19,48 @@ import os from 'os';
 
 
 import { sendTextMessage, sendAudioMessage, sendTemplateMessage } from './whatsappService.js';
+import { processStatusUpdate } from './handlers/messageStatus.js';
+import { processInboundMessage, retryInboundMessages } from './handlers/inboundMessage.js';
+import { verifyMetaSignature } from './utils/verifyMetaSignature.js';
+import { verifyPaymentSignature } from './utils/verifyPaymentSignature.js';
+import { handleMusicCallback, reconcileMusicTasks } from './services/musicTasks.js';
+import { listMusicProviders } from './services/musicProviders/index.js';
+import { getMasteringConfig, toVoiceNote } from './services/audioProcessing.js';
+import { touchHandoff, touchHandoffByPhone, endHandoff } from './services/handoff.js';
+import { approveDraft, rejectDraft } from './services/assistant.js';
+import { approveLyrics, requestLyricsRevision, getLyricsVersions } from './services/lyricsApproval.js';
+import {
+  recordPayment,
+  handlePaymentWebhook,
+  isKnownProvider,
+  createDownloadLink,
+  deliverPaidSongs
+} from './services/payments.js';
+import { reviewReceipt } from './services/receipts.js';
+import { selectVariation } from './services/songSelection.js';
+import { processOutbox, retryFailedGroup } from './services/outbox.js';
+import { createCampaign, controlCampaign, processCampaigns } from './services/campaigns.js';
+import {
+  syncTemplates,
+  validateTemplateParams,
+  buildTemplateComponents,
+  resolveTemplateParams
+} from './services/templates.js';
 import {
   processSequences,
   generateLetras,
+  reviseLetras,
   sendLetras,
   generarLetraParaMusica,
+  revisarLetraMusica,
+  enviarLetraParaAprobacion,
   generarPromptParaMusica,
   generarMusicaConSuno,
+  masterizarAudio,
   procesarClips,
-  retryStuckMusic,
   enviarMusicaPorWhatsApp
 } from './scheduler.js';
+import { recoverExpiredLeases, retryFailedMusic, requeueMusica } from './services/musicaStages.js';
 
 
 
@@ -74,6 +105,9 @@ app.post('/api/whatsapp/send-message', async (req, res) => {
     }
 
     await sendTextMessage(numero, message);
+    // El agente escribió: pausa las automatizaciones de este lead
+    if (leadId) await touchHandoff(leadId, req.body.agentId);
+    else await touchHandoffByPhone(numero, req.body.agentId);
     return res.json({ success: true });
   } catch (err) {
     console.error('Error enviando texto:', err);
@@ -81,8 +115,45 @@ app.post('/api/whatsapp/send-message', async (req, res) => {
   }
 });
 
+/**
+ * Convierte la grabación de un agente y la sube a Storage (Signed URL de 24h).
+ * Como nota de voz va en OGG/Opus masterizada (ver services/audioProcessing.js);
+ * como archivo, en M4A (AAC). Borra los temporales.
+ */
+async function prepararAudioAgente(uploadPath, voice) {
+  const outPath = `${uploadPath}${voice ? '.ogg' : '.m4a'}`;
+  try {
+    if (voice) {
+      await toVoiceNote(uploadPath, outPath, await getMasteringConfig(), { master: true });
+    } else {
+      await new Promise((resolve, reject) => {
+        ffmpeg(uploadPath)
+          .outputOptions(['-c:a aac', '-vn'])
+          .toFormat('mp4')
+          .save(outPath)
+          .on('end', resolve)
+          .on('error', reject);
+      });
+    }
+
+    const dest = `chat-audios/${path.basename(outPath)}`;
+    await bucket.upload(outPath, {
+      destination: dest,
+      metadata: { contentType: voice ? 'audio/ogg' : 'audio/mp4' }
+    });
+    const [url] = await bucket
+      .file(dest)
+      .getSignedUrl({ action: 'read', expires: Date.now() + 86400000 });
+    return url;
+  } finally {
+    try { fs.unlinkSync(uploadPath); } catch {}
+    try { fs.unlinkSync(outPath); } catch {}
+  }
+}
+
 /**  
  * Endpoint para enviar nota de voz  
+ * (por defecto como archivo M4A; campo `voice=true` para enviarla como nota de voz OGG/Opus)
  */
 app.post(
   '/api/whatsapp/send-audio',
@@ -90,132 +161,76 @@ app.post(
   async (req, res) => {
     console.log('[DEBUG] POST /api/whatsapp/send-audio', req.body);
     const { phone } = req.body;
-    const uploadPath = req.file.path;
-    const m4aPath = `${uploadPath}.m4a`;
+    const voice = req.body.voice === 'true';
 
     try {
-      // 1) Transcodifica a M4A (AAC)
-      await new Promise((resolve, reject) => {
-        ffmpeg(uploadPath)
-          .outputOptions(['-c:a aac', '-vn'])
-          .toFormat('mp4')
-          .save(m4aPath)
-          .on('end', resolve)
-          .on('error', reject);
-      });
-
-      // 2) Envía la nota de voz
-      await sendAudioMessage(phone, m4aPath);
+      // 1) Transcodifica y sube a Storage
+      const url = await prepararAudioAgente(req.file.path, voice);
 
-      // 3) Limpia archivos
-      fs.unlinkSync(uploadPath);
-      fs.unlinkSync(m4aPath);
+      // 2) Envía la nota de voz (o el archivo)
+      await sendAudioMessage(phone, url, { voice });
+      await touchHandoffByPhone(phone, req.body.agentId);
 
       return res.json({ success: true });
     } catch (err) {
       console.error('Error enviando audio:', err);
-      try { fs.unlinkSync(uploadPath); } catch {}
-      try { fs.unlinkSync(m4aPath); } catch {}
       return res.status(500).json({ error: err.message });
     }
   }
 );
 
+/**
+ * Callback del proveedor de música (Suno, mock, …). La URL lleva
+ * ?musicaId=&sig= firmados por tarea (ver services/musicTasks.js).
+ * Respondemos en cuanto validamos y registramos el callback; la descarga
+ * de las variaciones continúa en segundo plano.
+ */
 app.post('/api/suno/callback', express.json(), async (req, res) => {
-  const raw    = req.body;
-  const taskId = raw.taskId || raw.data?.taskId || raw.data?.task_id;
-  if (!taskId) return res.sendStatus(400);
-
-  const item = Array.isArray(raw.data?.data)
-    ? raw.data.data.find(i => i.audio_url || i.source_audio_url)
-    : null;
-  const audioUrlPrivada = item?.audio_url || item?.source_audio_url;
-  if (!audioUrlPrivada) return res.sendStatus(200);
-
-  const snap = await db.collection('musica')
-    .where('taskId', '==', taskId)
-    .limit(1)
-    .get();
-  if (snap.empty) return res.sendStatus(404);
-  const docRef = snap.docs[0].ref;
-
   try {
-    // Descargar y subir solo el MP3 completo
-    const tmpFull = path.join(os.tmpdir(), `${taskId}-full.mp3`);
-    const r = await axios.get(audioUrlPrivada, { responseType: 'stream' });
-    await new Promise((ok, ko) => {
-      const ws = fs.createWriteStream(tmpFull);
-      r.data.pipe(ws);
-      ws.on('finish', ok);
-      ws.on('error', ko);
-    });
-
-    const dest = `musica/full/${taskId}.mp3`;
-    await bucket.upload(tmpFull, { destination: dest, metadata: { contentType: 'audio/mpeg' } });
-    const [fullUrl] = await bucket.file(dest)
-      .getSignedUrl({ action: 'read', expires: Date.now() + 86400_000 });
+    const { musicaId, sig } = req.query;
+    const { status, work } = await handleMusicCallback({ musicaId, sig, body: req.body });
+    res.sendStatus(status);
+    if (work) await work;
+  } catch (err) {
+    console.error('❌ callback de música error:', err);
+    if (!res.headersSent) res.sendStatus(500);
+  }
+});
 
-    // Marca el doc para que procesarClips() lo recoja
-    await docRef.update({
-      fullUrl,
-      status: 'Audio listo',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-    fs.unlink(tmpFull, () => {});
-    return res.sendStatus(200);
+/**
+ * Proveedores de música disponibles con sus modelos y créditos.
+ */
+app.get('/api/music/providers', async (req, res) => {
+  try {
+    return res.json(await listMusicProviders());
   } catch (err) {
-    console.error('❌ callback Suno error:', err);
-    await docRef.update({ status: 'Error música', errorMsg: err.message });
-    return res.sendStatus(500);
+    console.error('Error listando proveedores de música:', err);
+    return res.status(500).json({ error: err.message });
   }
 });
 
 
 
 
-// NUEVA ruta para los audios del chat
+// NUEVA ruta para los audios del chat (campo `voice=true` → nota de voz OGG/Opus)
 app.post(
   '/api/whatsapp/send-chat-audio',
   upload.single('audio'),
   async (req, res) => {
     try {
-      const { phone }   = req.body;
-      const uploadPath  = req.file.path;
-      const m4aPath     = `${uploadPath}.m4a`;
+      const { phone } = req.body;
+      const voice     = req.body.voice === 'true';
 
-      // 1) Transcodifica a M4A
-      await new Promise((resolve, reject) => {
-        ffmpeg(uploadPath)
-          .outputOptions(['-c:a aac', '-vn'])
-          .toFormat('mp4')
-          .save(m4aPath)
-          .on('end', resolve)
-          .on('error', reject);
-      });
+      // 1) Transcodifica y súbelo a Firebase Storage
+      const url = await prepararAudioAgente(req.file.path, voice);
 
-      // 2) Súbelo a Firebase Storage
-      const dest = `chat-audios/${path.basename(m4aPath)}`;
-      await bucket.upload(m4aPath, {
-        destination: dest,
-        metadata: { contentType: 'audio/mp4' }
-      });
-      const [url] = await bucket
-        .file(dest)
-        .getSignedUrl({ action: 'read', expires: Date.now() + 86400000 });
-
-      // 3) Envía al usuario con link
-      await sendAudioMessage(phone, url);
-
-      // 4) Limpia archivos temporales
-      fs.unlinkSync(uploadPath);
-      fs.unlinkSync(m4aPath);
+      // 2) Envía al usuario con link
+      await sendAudioMessage(phone, url, { voice });
+      await touchHandoffByPhone(phone, req.body.agentId);
 
       return res.json({ success: true });
     } catch (err) {
       console.error('Error en send-chat-audio:', err);
-      // limpia temporales aunque falle
-      try { fs.unlinkSync(req.file.path) } catch {}
-      try { fs.unlinkSync(m4aPath) } catch {}
       return res.status(500).json({ error: err.message });
     }
   }
@@ -287,127 +302,41 @@ app.get('/api/whatsapp/number', async (req, res) => {
  * Webhook de WhatsApp: Mensajes entrantes  
  */
 
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyMetaSignature, (req, res) => {
   console.log('[DEBUG] POST /webhook payload:', JSON.stringify(req.body).slice(0,200));
-  try {
-    const entryChanges = req.body.entry?.flatMap(e => e.changes) || [];
-    for (const change of entryChanges) {
-      const messages = change.value?.messages || [];
-      for (const msg of messages) {
-        const from = msg.from;                  // e.g. "521234567890"
-        const text = msg.text?.body || '';
-
-        // ——— BLOQUE UNIFICADO: baja de WhatsApp → sube a Storage → mediaUrl final ———
-let mediaType = null;
-let mediaUrl  = null;
-
-if (msg.image || msg.document || msg.audio) {
-  // 1) Tipo de media
-  if (msg.image)       mediaType = 'image';
-  else if (msg.document) mediaType = 'pdf';
-  else if (msg.audio)    mediaType = 'audio';
-
-  const mediaId = msg.image?.id || msg.document?.id || msg.audio?.id;
-  if (mediaId) {
-    // 2) Pido URL temporal de Graph
-    const { data: { url: whatsappUrl } } = await axios.get(
-      `https://graph.facebook.com/v22.0/${mediaId}`,
-      { params: { access_token: TOKEN, fields: 'url' } }
-    );
-
-    // 3) Descargo el binario
-    const ext = mediaType === 'image' ? 'jpg'
-              : mediaType === 'pdf'   ? 'pdf'
-              : 'mp4';
-    const tmpPath = path.resolve('./uploads', `${mediaId}.${ext}`);
-    const writer = fs.createWriteStream(tmpPath);
-    const response = await axios.get(whatsappUrl, {
-      responseType: 'stream',
-      headers: { Authorization: `Bearer ${TOKEN}` }
-    });
-    await new Promise((res, rej) => {
-      response.data.pipe(writer);
-      writer.on('finish', res);
-      writer.on('error', rej);
-    });
 
-    // 4) Subo a Firebase Storage
-    const dest = `chat-media/${mediaId}.${ext}`;
-    await bucket.upload(tmpPath, {
-      destination: dest,
-      metadata: { contentType: response.headers['content-type'] }
-    });
-    // limpio tmp
-    fs.unlinkSync(tmpPath);
+  // Respondemos 200 de inmediato: Meta reintenta si tardamos, y la descarga
+  // y subida de media a Storage puede tardar varios segundos.
+  res.sendStatus(200);
 
-    // 5) Genero signed URL
-    const [signedUrl] = await bucket
-      .file(dest)
-      .getSignedUrl({ action: 'read', expires: Date.now() + 24*60*60*1000 });
+  processWebhookPayload(req.body)
+    .catch(err => console.error('[ERROR] en webhook:', err));
+});
 
-    mediaUrl = signedUrl;
-  }
-} else {
-  mediaType = text ? 'text' : null;
-}
-// ——————————————————————————————————————————————————————————
-
-        // ——————————————————————————————————————————————————————————
-
-        // 1) Upsert de lead
-        const q = await db.collection('leads')
-                          .where('telefono','==', from)
-                          .limit(1)
-                          .get();
-        let leadId;
-        if (q.empty) {
-          const now     = new Date();
-          const cfgSnap = await db.collection('config').doc('appConfig').get();
-          const cfg     = cfgSnap.exists ? cfgSnap.data() : {};
-          const trigger = cfg.defaultTrigger || 'NuevoLead';
-
-          const newLead = await db.collection('leads').add({
-            telefono: from,
-            nombre:  msg.pushName || '',
-            source:  'WhatsApp',
-            fecha_creacion: now,
-            estado:  'nuevo',
-            etiquetas: [trigger],
-            secuenciasActivas: [{ trigger, startTime: now.toISOString(), index: 0 }],
-            unreadCount: 1,
-            lastMessageAt: now
-          });
-          leadId = newLead.id;
-        } else {
-          leadId = q.docs[0].id;
-          await db.collection('leads').doc(leadId).update({
-            unreadCount: FieldValue.increment(1),
-            lastMessageAt: new Date()
-          });
-        }
-
-        // 2) Guardar mensaje en subcolección
-        const msgData = {
-          content:   text,
-          mediaType,
-          mediaUrl,
-          sender:    'lead',
-          timestamp: new Date()
-        };
-        await db.collection('leads')
-                .doc(leadId)
-                .collection('messages')
-                .add(msgData);
+/**
+ * Procesa de forma asíncrona los estados y mensajes de un payload del webhook.
+ */
+async function processWebhookPayload(body) {
+  const entryChanges = body.entry?.flatMap(e => e.changes) || [];
+  for (const change of entryChanges) {
+    // Estados de entrega de mensajes salientes (sent/delivered/read/failed)
+    for (const status of change.value?.statuses || []) {
+      try {
+        await processStatusUpdate(status);
+      } catch (err) {
+        console.error(`[ERROR] procesando estado ${status.id}:`, err);
       }
     }
 
-    // Siempre responder 200 lo antes posible
-    return res.sendStatus(200);
-  } catch (err) {
-    console.error('[ERROR] en webhook:', err);
-    return res.sendStatus(500);
+    for (const msg of change.value?.messages || []) {
+      try {
+        await processInboundMessage(msg);
+      } catch (err) {
+        console.error(`[ERROR] procesando mensaje ${msg.id}:`, err);
+      }
+    }
   }
-});
+}
 
 /**
  * Proxy para media: descarga desde WhatsApp o Firebase y reenvía al cliente
@@ -442,7 +371,8 @@ app.get('/api/media', async (req, res) => {
 
 app.post('/api/whatsapp/send-template', async (req, res) => {
   console.log('[DEBUG] POST /api/whatsapp/send-template', req.body);
-  const { leadId, templateName, language, variables } = req.body;
+  const { leadId, templateName, variables } = req.body;
+  const language = req.body.language || 'es_MX';
 
   if (!leadId || !templateName) {
     return res.status(400).json({ error: 'Faltan leadId o templateName' });
@@ -454,51 +384,367 @@ app.post('/api/whatsapp/send-template', async (req, res) => {
     if (!leadSnap.exists) {
       return res.status(404).json({ error: 'Lead no encontrado' });
     }
-    const phone = leadSnap.data().telefono;
-
-    // 2) Construir components para la plantilla (body params)
-    const components = [];
-    if (variables && variables.nombre) {
-      components.push({
-        type: 'body',
-        parameters: [
-          { type: 'text', text: variables.nombre }
-        ]
-      });
-    }
+    const lead = leadSnap.data();
+    const phone = lead.telefono;
+
+    // 2) Parámetros: { header, body, buttons } (admite placeholders del lead);
+    //    por compatibilidad, variables.nombre sigue siendo el único body param
+    const rawParams = req.body.parameters
+      || (variables && variables.nombre ? { body: [variables.nombre] } : {});
+    const params = resolveTemplateParams(rawParams, lead);
+    await validateTemplateParams(templateName, language, params);
+    const components = buildTemplateComponents(params);
 
     // 3) Enviar la plantilla a través de WhatsApp Cloud API
-    await sendTemplateMessage({
+    //    (sendTemplateMessage la registra en Firestore con su wamid)
+    const { wamid } = await sendTemplateMessage({
       to: phone,
       templateName,
       language,
-      components
+      components,
+      variables: variables || { body: params.body }
     });
+    await touchHandoff(leadId, req.body.agentId);
+
+    return res.json({ success: true, wamid });
+  } catch (err) {
+    console.error('Error enviando plantilla:', err);
+    const code = err.code === 'TEMPLATE_PARAMS' ? 400 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+/**
+ * Sincroniza el catálogo de plantillas desde la cuenta de WhatsApp Business
+ */
+app.post('/api/whatsapp/templates/sync', async (req, res) => {
+  console.log('[DEBUG] POST /api/whatsapp/templates/sync');
+  try {
+    const count = await syncTemplates();
+    return res.json({ success: true, count });
+  } catch (err) {
+    console.error('[ERROR] sync de plantillas:', err.response?.data || err.message);
+    return res.status(500).json({ error: err.response?.data?.error?.message || err.message });
+  }
+});
+
+/**
+ * Lista las plantillas del catálogo (nombre, idioma, categoría, parámetros)
+ */
+app.get('/api/whatsapp/templates', async (req, res) => {
+  try {
+    const snap = await db.collection('templates').get();
+    return res.json(snap.docs.map(d => {
+      const { name, language, status, category, paramSpec, components } = d.data();
+      return { id: d.id, name, language, status, category, paramSpec, components };
+    }));
+  } catch (err) {
+    console.error('Error listando plantillas:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    // 4) Registrar el envío en Firestore
-    await db.collection('leads')
-      .doc(leadId)
-      .collection('messages')
-      .add({
-        content: `Plantilla ${templateName} enviada`,
-        template: templateName,
-        variables: variables || {},
-        sender: 'business',
-        timestamp: new Date()
-      });
 
-    // 5) Actualizar timestamp de último mensaje
-    await db.collection('leads').doc(leadId)
-      .update({ lastMessageAt: new Date() });
 
+/**
+ * Activa o termina el modo handoff (un agente atiende el chat y se pausan
+ * las secuencias y envíos automáticos). body: { active: boolean, agentId? }
+ */
+app.post('/api/leads/:leadId/handoff', async (req, res) => {
+  console.log('[DEBUG] POST /api/leads/:leadId/handoff', req.params.leadId, req.body);
+  const { leadId } = req.params;
+  const { active, agentId } = req.body;
+  if (typeof active !== 'boolean') {
+    return res.status(400).json({ error: 'Falta active (boolean)' });
+  }
+
+  try {
+    const leadSnap = await db.collection('leads').doc(leadId).get();
+    if (!leadSnap.exists) return res.status(404).json({ error: 'Lead no encontrado' });
+
+    if (active) await touchHandoff(leadId, agentId);
+    else await endHandoff(leadId);
+    return res.json({ success: true, active });
+  } catch (err) {
+    console.error('Error actualizando handoff:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Interruptor del asistente de ventas para un lead. body: { enabled: boolean }
+ */
+app.post('/api/leads/:leadId/assistant', async (req, res) => {
+  console.log('[DEBUG] POST /api/leads/:leadId/assistant', req.params.leadId, req.body);
+  const { enabled } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'Falta enabled (boolean)' });
+  }
+
+  try {
+    const leadRef = db.collection('leads').doc(req.params.leadId);
+    if (!(await leadRef.get()).exists) return res.status(404).json({ error: 'Lead no encontrado' });
+    await leadRef.update({ assistantDisabled: !enabled });
+    return res.json({ success: true, enabled });
+  } catch (err) {
+    console.error('Error actualizando asistente:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Aprueba (y envía) o descarta un borrador del asistente.
+ * body: { text?, agentId? } — `text` permite editar el borrador antes de enviarlo.
+ */
+app.post('/api/leads/:leadId/assistant/drafts/:draftId/:action(approve|reject)', async (req, res) => {
+  console.log('[DEBUG] POST assistant draft', req.params, req.body);
+  const { leadId, draftId, action } = req.params;
+
+  try {
+    if (action === 'approve') {
+      const result = await approveDraft(leadId, draftId, req.body);
+      return res.json({ success: true, wamid: result?.wamid || null, queued: !!result?.queued });
+    }
+    await rejectDraft(leadId, draftId, req.body.agentId);
     return res.json({ success: true });
   } catch (err) {
-    console.error('Error enviando plantilla:', err);
+    console.error('Error con borrador del asistente:', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * Crea una campaña de difusión.
+ * body: { name, segment: { etiquetas, excludeEtiquetas, estado, source,
+ *         lastActivityFrom, lastActivityTo }, templateName, language,
+ *         parameters: ['{{nombre}}', ...], header?, buttons?, scheduledAt }
+ */
+app.post('/api/campaigns', async (req, res) => {
+  console.log('[DEBUG] POST /api/campaigns', req.body);
+  const { templateName } = req.body;
+  if (!templateName) return res.status(400).json({ error: 'Falta templateName' });
 
+  try {
+    const campaignId = await createCampaign(req.body);
+    return res.json({ success: true, campaignId });
+  } catch (err) {
+    console.error('Error creando campaña:', err);
+    const code = err.code === 'TEMPLATE_PARAMS' ? 400 : 500;
+    return res.status(code).json({ error: err.message });
+  }
+});
+
+/**
+ * Estado y estadísticas de una campaña
+ */
+app.get('/api/campaigns/:id', async (req, res) => {
+  try {
+    const snap = await db.collection('campaigns').doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).json({ error: 'Campaña no encontrada' });
+    return res.json({ id: snap.id, ...snap.data() });
+  } catch (err) {
+    console.error('Error leyendo campaña:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Pausa, reanuda o cancela una campaña (:action = pause | resume | cancel)
+ */
+app.post('/api/campaigns/:id/:action(pause|resume|cancel)', async (req, res) => {
+  console.log('[DEBUG] POST /api/campaigns/:id/:action', req.params);
+  try {
+    const status = await controlCampaign(req.params.id, req.params.action);
+    return res.json({ success: true, status });
+  } catch (err) {
+    console.error('Error controlando campaña:', err);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Reencola un pedido de música en error o 'Error definitivo' desde una etapa
+ * (body: { stage: 'Sin música' | 'Audio listo' | 'Audio masterizado' | ... })
+ */
+app.post('/api/musica/:id/requeue', async (req, res) => {
+  console.log('[DEBUG] POST /api/musica/:id/requeue', req.params.id, req.body);
+  const { stage } = req.body;
+  if (!stage) return res.status(400).json({ error: 'Falta stage' });
+
+  try {
+    const snap = await db.collection('musica').doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).json({ error: 'Pedido no encontrado' });
+
+    const previous = await requeueMusica(req.params.id, stage);
+    return res.json({ success: true, previous, status: stage });
+  } catch (err) {
+    console.error('Error reencolando pedido:', err);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Reintenta los mensajes fallidos de un grupo del outbox (p.ej. `musica:<id>`,
+ * `letra:<id>`, `entrega:<id>`) y reanuda el pedido que esperaba su entrega.
+ */
+app.post('/api/outbox/:group/retry', async (req, res) => {
+  console.log('[DEBUG] POST /api/outbox/:group/retry', req.params.group);
+  try {
+    const retried = await retryFailedGroup(req.params.group);
+    if (!retried) return res.status(404).json({ error: 'El grupo no tiene mensajes fallidos' });
+    return res.json({ success: true, retried });
+  } catch (err) {
+    console.error('Error reintentando outbox:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Un agente registra la variación elegida por el cliente. body: { index, agentId? }
+ * (index empieza en 0).
+ */
+app.post('/api/musica/:id/variation', async (req, res) => {
+  console.log('[DEBUG] POST /api/musica/:id/variation', req.params.id, req.body);
+  const index = Number(req.body.index);
+  if (!Number.isInteger(index) || index < 0) {
+    return res.status(400).json({ error: 'index inválido' });
+  }
+
+  try {
+    await selectVariation(req.params.id, index, { by: 'agente', agentId: req.body.agentId });
+    return res.json({ success: true, selectedVariation: index });
+  } catch (err) {
+    console.error('Error eligiendo variación:', err);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Versiones de la letra de un pedido ('letras' o 'musica').
+ */
+app.get('/api/:collection(letras|musica)/:id/lyrics', async (req, res) => {
+  try {
+    const versions = await getLyricsVersions(req.params.collection, req.params.id);
+    return res.json(versions);
+  } catch (err) {
+    console.error('Error listando versiones de letra:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Un agente aprueba la letra (body: { version?, agentId? }) o pide cambios
+ * (body: { changes, agentId? }) en nombre del cliente.
+ */
+app.post('/api/:collection(letras|musica)/:id/lyrics/:action(approve|revise)', async (req, res) => {
+  console.log('[DEBUG] POST lyrics', req.params, req.body);
+  const { collection, id, action } = req.params;
+  const { version, changes, agentId } = req.body;
+
+  try {
+    const snap = await db.collection(collection).doc(id).get();
+    if (!snap.exists) return res.status(404).json({ error: 'Pedido no encontrado' });
+
+    if (action === 'approve') {
+      const approved = await approveLyrics(collection, id, { version, by: 'agente', agentId });
+      return res.json({ success: true, version: approved });
+    }
+    if (!changes) return res.status(400).json({ error: 'Faltan changes' });
+    await requestLyricsRevision(collection, id, changes, { by: 'agente', agentId });
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Error actualizando letra:', err);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Un agente confirma un pago (transferencia, efectivo, …).
+ * body: { musicaId?, leadId?, amount, currency?, method?, reference?, agentId? }
+ */
+app.post('/api/payments', async (req, res) => {
+  console.log('[DEBUG] POST /api/payments', req.body);
+  const { musicaId, leadId, amount, currency, method, reference, agentId } = req.body;
+  if ((!musicaId && !leadId) || !amount) {
+    return res.status(400).json({ error: 'Faltan musicaId/leadId o amount' });
+  }
+
+  try {
+    const result = await recordPayment({
+      musicaId, leadId, amount, currency, method, reference, agentId, provider: 'manual'
+    });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error registrando pago:', err);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Webhook genérico de proveedores de pago (firmado con X-Payment-Signature).
+ */
+app.post('/api/payments/webhook/:provider', verifyPaymentSignature, async (req, res) => {
+  const { provider } = req.params;
+  console.log(`[PAGOS] webhook ${provider}`, req.body?.event);
+  if (!isKnownProvider(provider)) return res.sendStatus(404);
+
+  try {
+    const result = await handlePaymentWebhook(provider, req.body);
+    return res.json({ received: true, ...result });
+  } catch (err) {
+    console.error('[PAGOS] Error procesando webhook:', err);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Comprobantes de pago detectados (por defecto los pendientes de verificar).
+ */
+app.get('/api/receipts', async (req, res) => {
+  try {
+    const snap = await db.collection('paymentReceipts')
+      .where('status', '==', req.query.status || 'pendiente')
+      .get();
+    return res.json(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+  } catch (err) {
+    console.error('Error listando comprobantes:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Un agente aprueba (registra el pago) o rechaza un comprobante; el lead
+ * recibe aviso en ambos casos. body: { agentId?, amount?, currency?, reason? }
+ */
+app.post('/api/receipts/:id/:action(approve|reject)', async (req, res) => {
+  console.log('[DEBUG] POST /api/receipts', req.params, req.body);
+  try {
+    const result = await reviewReceipt(req.params.id, req.params.action, req.body);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error revisando comprobante:', err);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Enlace de descarga nuevo para la canción completa de un pedido pagado.
+ */
+app.get('/api/musica/:id/download-link', async (req, res) => {
+  try {
+    const snap = await db.collection('musica').doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).json({ error: 'Pedido no encontrado' });
+    if (snap.data().paymentStatus !== 'pagado') {
+      return res.status(409).json({ error: 'El pedido no está pagado' });
+    }
+    const link = await createDownloadLink(snap.data());
+    if (!link) return res.status(409).json({ error: 'La canción aún no está lista' });
+    return res.json(link);
+  } catch (err) {
+    console.error('Error generando enlace de descarga:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
 
 // Scheduler: tus procesos periódicos
@@ -508,28 +754,75 @@ cron.schedule('* * * * *', () => {
 cron.schedule('* * * * *', () => {
   generateLetras().catch(err => console.error('Error en generateLetras:', err));
 });
+cron.schedule('* * * * *', () => {
+  reviseLetras().catch(err => console.error('Error en reviseLetras:', err));
+});
 cron.schedule('* * * * *', () => {
   sendLetras().catch(err => console.error('Error en sendLetras:', err));
 });
+// Arranca y envía las campañas de difusión
+cron.schedule('* * * * *', () => {
+  processCampaigns().catch(err => console.error('Error en processCampaigns:', err));
+});
+// Cada día a las 3:00 sincroniza el catálogo de plantillas
+cron.schedule('0 3 * * *', () => {
+  syncTemplates().catch(err => console.error('Error en syncTemplates:', err.message));
+});
+// Entrega los mensajes pendientes del outbox (letras, música, …)
+cron.schedule('* * * * *', () => {
+  processOutbox().catch(err => console.error('Error en processOutbox:', err));
+});
 
 // NUEVOS cron jobs para música
-// Generar letra → Sin prompt
+// Generar letra → Enviar letra
 cron.schedule('*/1 * * * *', generarLetraParaMusica);
 
+// Enviar letra al cliente → Letra por aprobar (aprobada → Sin prompt)
+cron.schedule('*/1 * * * *', enviarLetraParaAprobacion);
+
+// Cambios pedidos por el cliente → nueva versión → Enviar letra
+cron.schedule('*/1 * * * *', revisarLetraMusica);
+
 // Refinar prompt → Sin música
 cron.schedule('*/1 * * * *', generarPromptParaMusica);
 
 // Lanzar Suno → Procesando música
 cron.schedule('*/2 * * * *', generarMusicaConSuno);
 
+// Masterizar audio → Audio masterizado
+cron.schedule('*/2 * * * *', masterizarAudio);
+
 // Procesar clips → Enviar música
 cron.schedule('*/2 * * * *', procesarClips);
 
 // Enviar por WhatsApp → Enviada
 cron.schedule('*/1 * * * *', enviarMusicaPorWhatsApp);
 
-// Cada 5 minutos, resetea las tareas que llevan >10 min atascadas en 'Procesando música'
-cron.schedule('*/5 * * * *', () => retryStuckMusic(10));
+// Canción completa para los pedidos pagados
+cron.schedule('* * * * *', () => {
+  deliverPaidSongs().catch(err => console.error('Error en deliverPaidSongs:', err));
+});
+
+// Cada 2 minutos consulta al proveedor las tareas cuyo callback no llegó
+cron.schedule('*/2 * * * *', () => {
+  reconcileMusicTasks().catch(err => console.error('Error en reconcileMusicTasks:', err));
+});
+
+// Cada minuto, devuelve a su etapa los docs de 'musica' con lease expirado
+// (worker caído a media etapa)
+cron.schedule('* * * * *', () => {
+  recoverExpiredLeases().catch(err => console.error('Error en recoverExpiredLeases:', err));
+});
+
+// Cada 5 minutos reprocesa los mensajes entrantes en error o abandonados
+cron.schedule('*/5 * * * *', () => {
+  retryInboundMessages().catch(err => console.error('Error en retryInboundMessages:', err));
+});
+
+// Cada minuto, reintenta los pedidos en error cuyo backoff ya venció
+cron.schedule('* * * * *', () => {
+  retryFailedMusic().catch(err => console.error('Error en retryFailedMusic:', err));
+});
 
 
 // Debe ir antes de app.listen(...)
@@ -0,0 +1,209 @@
+// services/assistant.js
+//
+// Asistente de ventas opcional que responde a los leads con el historial
+// de la conversación, el estado de sus letras/canciones y la base de
+// conocimiento de Firestore ('knowledgeBase': { title, content, active }).
+//
+// Config en config/appConfig.assistant:
+//   { enabled, mode: 'draft'|'send', minConfidence, escalationKeywords: [...],
+//     historyLimit, model }
+// - 'draft': guarda la respuesta en leads/{id}/assistantDrafts para que un
+//   agente la apruebe (approveDraft) o la descarte (rejectDraft).
+// - 'send': la envía directamente con sendTextMessage.
+// Nunca responde si el lead está en handoff o tiene `assistantDisabled: true`;
+// con confianza baja o palabras clave de escalado pasa el chat a un agente.
+import { getOpenAI } from '../openaiClient.js';
+import { db } from '../firebaseAdmin.js';
+import { sendTextMessage } from '../whatsappService.js';
+import { getHandoffInactivityMs, checkHandoff, touchHandoff } from './handoff.js';
+import { normalizeText } from '../utils/text.js';
+
+const DEFAULTS = {
+  enabled:            false,
+  mode:               'draft',
+  minConfidence:      0.7,
+  escalationKeywords: ['asesor', 'humano', 'persona', 'queja', 'reembolso'],
+  historyLimit:       20,
+  model:              'gpt-4o'
+};
+
+/** Lee config/appConfig.assistant con sus valores por defecto. */
+export async function getAssistantConfig() {
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  return { ...DEFAULTS, ...((cfgSnap.exists && cfgSnap.data().assistant) || {}) };
+}
+
+/** Últimos mensajes de la conversación, del más antiguo al más reciente. */
+async function getHistory(leadId, limit) {
+  const snap = await db.collection('leads').doc(leadId).collection('messages')
+    .orderBy('timestamp', 'desc')
+    .limit(limit)
+    .get();
+  return snap.docs
+    .map(d => d.data())
+    .filter(m => m.sender === 'lead' || m.sender === 'business')
+    .reverse()
+    .map(m => ({
+      role: m.sender === 'lead' ? 'user' : 'assistant',
+      content: m.transcript || m.content || `[${m.mediaType || 'mensaje'}]`
+    }));
+}
+
+/** Estado de las letras y canciones del lead, en texto para el prompt. */
+async function getOrdersSummary(leadId) {
+  const [letras, musica] = await Promise.all([
+    db.collection('letras').where('leadId', '==', leadId).get(),
+    db.collection('musica').where('leadId', '==', leadId).get()
+  ]);
+  const lines = [
+    ...letras.docs.map(d => `- Letra (${d.data().purpose || 'sin propósito'}): status ${d.data().status}`),
+    ...musica.docs.map(d => `- Canción (${d.data().purpose || 'sin propósito'}): status ${d.data().status}`)
+  ];
+  return lines.length ? lines.join('\n') : 'Sin pedidos todavía.';
+}
+
+/** Entradas activas de la base de conocimiento. */
+async function getKnowledgeBase() {
+  const snap = await db.collection('knowledgeBase').where('active', '==', true).get();
+  return snap.docs.map(d => `## ${d.data().title}\n${d.data().content}`).join('\n\n');
+}
+
+/**
+ * Pide al modelo una respuesta en JSON: { reply, confidence, escalate, reason }.
+ */
+async function draftReply(lead, cfg) {
+  const [history, orders, knowledge] = await Promise.all([
+    getHistory(lead.id, cfg.historyLimit),
+    getOrdersSummary(lead.id),
+    getKnowledgeBase()
+  ]);
+
+  const system = `
+Eres el asistente de ventas de un servicio de canciones personalizadas por WhatsApp.
+Responde en español, breve y amable, usando sólo la información de abajo.
+Si no sabes la respuesta, el cliente está molesto o pide algo fuera de la información,
+marca escalate: true para pasar el chat a un agente humano.
+Devuelve sólo JSON: {"reply": string, "confidence": número 0-1, "escalate": boolean, "reason": string}.
+
+Cliente: ${lead.nombre || 'sin nombre'} (estado ${lead.estado || 'nuevo'}).
+Pedidos del cliente:
+${orders}
+
+Información del negocio:
+${knowledge || 'Sin información cargada.'}
+`.trim();
+
+  const resp = await getOpenAI().createChatCompletion({
+    model: cfg.model,
+    messages: [{ role: 'system', content: system }, ...history],
+    response_format: { type: 'json_object' },
+    temperature: 0.3
+  });
+  const raw = resp.data.choices?.[0]?.message?.content || '{}';
+  try {
+    const out = JSON.parse(raw);
+    return {
+      reply:      String(out.reply || '').trim(),
+      confidence: Number(out.confidence) || 0,
+      escalate:   !!out.escalate,
+      reason:     out.reason || ''
+    };
+  } catch {
+    return { reply: '', confidence: 0, escalate: true, reason: 'respuesta no válida del modelo' };
+  }
+}
+
+/** Pasa el chat a un agente humano (handoff) dejando el motivo en el historial. */
+async function escalate(leadId, reason) {
+  await touchHandoff(leadId);
+  await db.collection('leads').doc(leadId).update({
+    assistantEscalation: { reason, at: new Date() }
+  });
+  await db.collection('leads').doc(leadId).collection('messages').add({
+    content:   `Asistente: chat escalado a un agente (${reason})`,
+    sender:    'system',
+    timestamp: new Date()
+  });
+  console.log(`🙋 asistente escaló el lead ${leadId}: ${reason}`);
+}
+
+/**
+ * Responde (o deja borrador) al último mensaje del lead si el asistente
+ * está activo para él. Se llama tras guardar cada mensaje entrante.
+ * @returns {Promise<string>} 'skipped' | 'escalated' | 'drafted' | 'sent'
+ */
+export async function handleAssistantReply(leadId) {
+  const cfg = await getAssistantConfig();
+  if (!cfg.enabled) return 'skipped';
+
+  const leadSnap = await db.collection('leads').doc(leadId).get();
+  if (!leadSnap.exists) return 'skipped';
+  const lead = { id: leadId, ...leadSnap.data() };
+  if (lead.assistantDisabled) return 'skipped';
+  if (await checkHandoff(lead, await getHandoffInactivityMs())) return 'skipped';
+
+  const text = normalizeText(lead.lastInboundText);
+  if (!text) return 'skipped';
+  const keyword = cfg.escalationKeywords.find(k => text.includes(normalizeText(k)));
+  if (keyword) {
+    await escalate(leadId, `palabra clave "${keyword}"`);
+    return 'escalated';
+  }
+
+  const draft = await draftReply(lead, cfg);
+  if (draft.escalate || !draft.reply || draft.confidence < cfg.minConfidence) {
+    await escalate(leadId, draft.reason || `confianza ${draft.confidence}`);
+    return 'escalated';
+  }
+
+  if (cfg.mode === 'send') {
+    const result = await sendTextMessage(lead.telefono, draft.reply);
+    if (result?.messageId) {
+      await db.collection('leads').doc(leadId).collection('messages').doc(result.messageId)
+        .update({ generatedBy: 'assistant', confidence: draft.confidence });
+    }
+    return 'sent';
+  }
+
+  await db.collection('leads').doc(leadId).collection('assistantDrafts').add({
+    text:       draft.reply,
+    confidence: draft.confidence,
+    reason:     draft.reason,
+    inReplyTo:  lead.lastInboundText || '',
+    status:     'pending',
+    createdAt:  new Date()
+  });
+  return 'drafted';
+}
+
+/**
+ * Envía un borrador aprobado por un agente (opcionalmente editado).
+ * @returns {Promise<Object>} resultado de sendTextMessage.
+ */
+export async function approveDraft(leadId, draftId, { text, agentId } = {}) {
+  const leadRef = db.collection('leads').doc(leadId);
+  const draftRef = leadRef.collection('assistantDrafts').doc(draftId);
+  const [leadSnap, draftSnap] = await Promise.all([leadRef.get(), draftRef.get()]);
+  if (!leadSnap.exists || !draftSnap.exists) throw new Error('Borrador no encontrado');
+  if (draftSnap.data().status !== 'pending') {
+    throw new Error(`El borrador ya está ${draftSnap.data().status}`);
+  }
+
+  const finalText = (text || draftSnap.data().text).trim();
+  const result = await sendTextMessage(leadSnap.data().telefono, finalText);
+  await draftRef.update({
+    status:     'sent',
+    sentText:   finalText,
+    edited:     finalText !== draftSnap.data().text,
+    approvedBy: agentId || null,
+    approvedAt: new Date(),
+    messageId:  result?.messageId || null
+  });
+  return result;
+}
+
+/** Descarta un borrador pendiente. */
+export async function rejectDraft(leadId, draftId, agentId = null) {
+  await db.collection('leads').doc(leadId).collection('assistantDrafts').doc(draftId)
+    .update({ status: 'rejected', rejectedBy: agentId, rejectedAt: new Date() });
+}
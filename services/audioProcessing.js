@@ -0,0 +1,82 @@
+// services/audioProcessing.js
+//
+// Masterizado del audio antes de enviarlo: recorta el silencio inicial,
+// normaliza la sonoridad a un objetivo EBU R128 (filtro loudnorm) y genera,
+// junto al MP3, una versión OGG/Opus que WhatsApp muestra como nota de voz.
+// Config en config/appConfig.mastering (y `masteringConfig` del pedido para
+// sobrescribirla):
+//   { targetLufs: -14, truePeakDb: -1, lra: 11, trimSilence: true,
+//     silenceThresholdDb: -50, voiceBitrate: '48k' }
+import ffmpeg from 'fluent-ffmpeg';
+import { db } from '../firebaseAdmin.js';
+
+export const MASTERING_DEFAULTS = {
+  targetLufs:         -14,     // sonoridad integrada (LUFS)
+  truePeakDb:         -1,      // pico verdadero máximo (dBTP)
+  lra:                11,      // rango de sonoridad (LU)
+  trimSilence:        true,
+  silenceThresholdDb: -50,     // por debajo de esto se considera silencio
+  voiceBitrate:       '48k'    // Opus mono para las notas de voz
+};
+
+/** Config de masterizado: defaults ← appConfig.mastering ← masteringConfig del pedido. */
+export async function getMasteringConfig(data = {}) {
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  return {
+    ...MASTERING_DEFAULTS,
+    ...((cfgSnap.exists && cfgSnap.data().mastering) || {}),
+    ...(data.masteringConfig || {})
+  };
+}
+
+/** Filtros de masterizado: recorte del silencio inicial + loudnorm. */
+function masteringFilters(cfg) {
+  const filters = [];
+  if (cfg.trimSilence) {
+    filters.push(`silenceremove=start_periods=1:start_threshold=${cfg.silenceThresholdDb}dB:start_silence=0.1`);
+  }
+  filters.push(`loudnorm=I=${cfg.targetLufs}:TP=${cfg.truePeakDb}:LRA=${cfg.lra}`);
+  return filters;
+}
+
+function run(cmd) {
+  return new Promise((resolve, reject) => {
+    cmd.on('end', resolve).on('error', reject).run();
+  });
+}
+
+/**
+ * Masteriza un audio a MP3 (44.1 kHz: loudnorm remuestrea a 192 kHz si no).
+ * @returns {Promise<Object>} parámetros usados (para `masterParams`).
+ */
+export async function masterAudio(src, dest, cfg = MASTERING_DEFAULTS) {
+  await run(ffmpeg(src)
+    .noVideo()
+    .audioFilters(masteringFilters(cfg))
+    .audioCodec('libmp3lame')
+    .audioBitrate('192k')
+    .audioFrequency(44100)
+    .output(dest));
+  return {
+    targetLufs:  cfg.targetLufs,
+    truePeakDb:  cfg.truePeakDb,
+    lra:         cfg.lra,
+    trimSilence: !!cfg.trimSilence
+  };
+}
+
+/**
+ * Convierte un audio a OGG/Opus mono, el formato de las notas de voz de
+ * WhatsApp. Con `master: true` además lo masteriza (grabaciones de agentes).
+ */
+export async function toVoiceNote(src, dest, cfg = MASTERING_DEFAULTS, { master = false } = {}) {
+  const cmd = ffmpeg(src).noVideo();
+  if (master) cmd.audioFilters(masteringFilters(cfg));
+  await run(cmd
+    .audioCodec('libopus')
+    .audioChannels(1)
+    .audioFrequency(48000)
+    .audioBitrate(cfg.voiceBitrate)
+    .format('ogg')
+    .output(dest));
+}
@@ -0,0 +1,337 @@
+// services/campaigns.js
+//
+// Campañas de difusión: una plantilla aprobada enviada a un segmento de
+// leads. Doc 'campaigns/{id}':
+//   { name, segment, templateName, language, parameters, header, buttons, scheduledAt,
+//     status: 'scheduled'|'running'|'paused'|'cancelled'|'completed',
+//     stats: { total, sent, delivered, read, failed, replied } }
+// y un doc por destinatario en 'campaigns/{id}/recipients/{leadId}'.
+import { admin, db } from '../firebaseAdmin.js';
+import { sendTemplateMessage } from '../whatsappService.js';
+import { getSchedulingConfig, canSendNow } from './scheduling.js';
+import { validateTemplateParams, buildTemplateComponents, resolveTemplateParams } from './templates.js';
+
+const { FieldValue } = admin.firestore;
+
+// Destinatarios enviados por campaña en cada tick del cron
+const BATCH_SIZE = 200;
+
+// Un destinatario en 'sending' más antiguo que esto se da por interrumpido
+// (proceso caído entre el claim y el registro del envío)
+const SENDING_STALE_MS = 10 * 60 * 1000;
+
+// Orden de los estados de un destinatario (igual que en messageStatus)
+const RECIPIENT_RANK = { pending: 0, sending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+/** Transiciones de control permitidas desde la API. */
+const CONTROL_TRANSITIONS = {
+  pause:  { from: ['scheduled', 'running'], to: 'paused', stamp: 'pausedAt' },
+  resume: { from: ['paused'], stamp: 'resumedAt' },
+  cancel: { from: ['scheduled', 'running', 'paused'], to: 'cancelled', stamp: 'cancelledAt' }
+};
+
+function toDate(value) {
+  if (!value) return null;
+  return value.toDate?.() || new Date(value);
+}
+
+/**
+ * ¿El lead pertenece al segmento?
+ * segment: { etiquetas: [...] (alguna), excludeEtiquetas: [...], estado: [...],
+ *            source: [...], lastActivityFrom, lastActivityTo }
+ */
+export function matchesSegment(lead, segment = {}) {
+  const etiquetas = lead.etiquetas || [];
+  const asList = v => (v == null ? [] : [].concat(v));
+
+  if (segment.etiquetas?.length && !segment.etiquetas.some(t => etiquetas.includes(t))) return false;
+  if (asList(segment.excludeEtiquetas).some(t => etiquetas.includes(t))) return false;
+  if (segment.estado && !asList(segment.estado).includes(lead.estado)) return false;
+  if (segment.source && !asList(segment.source).includes(lead.source)) return false;
+
+  const last = toDate(lead.lastMessageAt);
+  const from = toDate(segment.lastActivityFrom);
+  const to   = toDate(segment.lastActivityTo);
+  if ((from || to) && !last) return false;
+  if (from && last < from) return false;
+  if (to && last > to) return false;
+  return true;
+}
+
+/**
+ * Crea una campaña en status 'scheduled', validando antes los parámetros
+ * contra el catálogo de plantillas.
+ */
+export async function createCampaign({ name, segment, templateName, language, parameters, header, buttons, scheduledAt }) {
+  language = language || 'es_MX';
+  await validateTemplateParams(templateName, language, { header, body: parameters || [], buttons });
+
+  const ref = await db.collection('campaigns').add({
+    name:         name || templateName,
+    segment:      segment || {},
+    templateName,
+    language,
+    parameters:   parameters || [],   // textos con placeholders, p.ej. '{{nombre}}'
+    header:       header || null,     // { type, value } para plantillas con header
+    buttons:      buttons || [],      // [{ index, sub_type, value }]
+    scheduledAt:  scheduledAt ? new Date(scheduledAt) : new Date(),
+    status:       'scheduled',
+    stats:        { total: 0, sent: 0, delivered: 0, read: 0, failed: 0, replied: 0 },
+    createdAt:    new Date()
+  });
+  return ref.id;
+}
+
+/**
+ * Pausa, reanuda o cancela una campaña.
+ * @returns {Promise<string>} nuevo status.
+ */
+export async function controlCampaign(campaignId, action) {
+  const rule = CONTROL_TRANSITIONS[action];
+  if (!rule) throw new Error(`Acción inválida: ${action}`);
+  const ref = db.collection('campaigns').doc(campaignId);
+
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw new Error('Campaña no encontrada');
+    const data = snap.data();
+    if (!rule.from.includes(data.status)) {
+      throw new Error(`No se puede ${action} una campaña en '${data.status}'`);
+    }
+    // Al reanudar vuelve a donde estaba: si ya arrancó, 'running'
+    const to = rule.to || (data.startedAt ? 'running' : 'scheduled');
+    tx.update(ref, { status: to, [rule.stamp]: new Date() });
+    return to;
+  });
+}
+
+/** Genera los destinatarios de la campaña a partir del segmento. */
+async function buildRecipients(campaignRef, campaign) {
+  let query = db.collection('leads');
+  // Filtramos en Firestore por etiquetas si se puede; el resto en memoria
+  if (campaign.segment.etiquetas?.length) {
+    query = query.where('etiquetas', 'array-contains-any', campaign.segment.etiquetas.slice(0, 30));
+  }
+  const leadsSnap = await query.get();
+  const leads = leadsSnap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(l => l.telefono && matchesSegment(l, campaign.segment));
+
+  // Escritura por lotes (máx. 500 operaciones por batch)
+  for (let i = 0; i < leads.length; i += 400) {
+    const batch = db.batch();
+    for (const lead of leads.slice(i, i + 400)) {
+      batch.set(campaignRef.collection('recipients').doc(lead.id), {
+        leadId: lead.id,
+        phone:  lead.telefono,
+        status: 'pending'
+      });
+    }
+    await batch.commit();
+  }
+
+  await campaignRef.update({
+    status:        'running',
+    startedAt:     new Date(),
+    'stats.total': leads.length
+  });
+  console.log(`📣 campaña ${campaignRef.id}: ${leads.length} destinatarios`);
+}
+
+/** Reclama un destinatario pendiente (pending → sending). */
+async function claimRecipient(ref) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (snap.data()?.status !== 'pending') return false;
+    tx.update(ref, { status: 'sending', claimedAt: new Date() });
+    return true;
+  });
+}
+
+/**
+ * Marca como 'failed' los destinatarios que quedaron en 'sending' más de
+ * SENDING_STALE_MS. No se reenvían: la plantilla pudo haber salido y no
+ * queremos duplicarla. Devuelve cuántos siguen en curso.
+ */
+async function recoverStaleRecipients(campaignRef) {
+  const sending = await campaignRef.collection('recipients')
+    .where('status', '==', 'sending')
+    .get();
+  let inFlight = 0;
+  for (const doc of sending.docs) {
+    const outcome = await db.runTransaction(async tx => {
+      const data = (await tx.get(doc.ref)).data();
+      if (data?.status !== 'sending') return 'done';
+      const claimedAt = data.claimedAt?.toMillis?.() || 0;
+      if (Date.now() - claimedAt < SENDING_STALE_MS) return 'sending';
+      tx.update(doc.ref, { status: 'failed', error: 'Envío interrumpido' });
+      tx.update(campaignRef, { 'stats.failed': FieldValue.increment(1) });
+      return 'failed';
+    });
+    if (outcome === 'sending') inFlight++;
+    if (outcome === 'failed') {
+      console.warn(`⚠️ campaña ${campaignRef.id} → ${doc.id}: envío interrumpido, marcado como fallido`);
+    }
+  }
+  return inFlight;
+}
+
+/**
+ * Registra el envío aceptado por la API. El webhook de estados puede llegar
+ * antes ('delivered' o 'read' rápidos): en una transacción, el status sólo
+ * avanza si el destinatario sigue por debajo de 'sent', y `stats.sent` se
+ * suma junto con el wamid.
+ */
+async function markRecipientSent(campaignRef, recipientRef, wamid, sentAt) {
+  await db.runTransaction(async tx => {
+    const current = (await tx.get(recipientRef)).data()?.status;
+    tx.update(recipientRef, {
+      wamid,
+      sentAt,
+      ...((RECIPIENT_RANK[current] ?? 0) < RECIPIENT_RANK.sent ? { status: 'sent' } : {})
+    });
+    tx.update(campaignRef, { 'stats.sent': FieldValue.increment(1) });
+  });
+}
+
+/** Envía la plantilla a un destinatario y actualiza su doc y las stats. */
+async function sendToRecipient(campaignRef, campaign, recipientSnap, schedCfg) {
+  const { leadId } = recipientSnap.data();
+  const leadSnap = await db.collection('leads').doc(leadId).get();
+  if (!leadSnap.exists) {
+    await recipientSnap.ref.update({ status: 'skipped', error: 'Lead no encontrado' });
+    return;
+  }
+  const lead = { id: leadId, ...leadSnap.data() };
+  // En horas de silencio del lead queda pendiente para el siguiente tick
+  if (!canSendNow(lead, schedCfg)) return;
+  if (!(await claimRecipient(recipientSnap.ref))) return;
+
+  const params = resolveTemplateParams({
+    header:  campaign.header,
+    body:    campaign.parameters,
+    buttons: campaign.buttons
+  }, lead);
+
+  try {
+    const { wamid } = await sendTemplateMessage({
+      to:           lead.telefono,
+      templateName: campaign.templateName,
+      language:     campaign.language,
+      components:   buildTemplateComponents(params),
+      variables:    { campaign: campaign.name },
+      campaignId:   campaignRef.id
+    });
+    const sentAt = new Date();
+    await markRecipientSent(campaignRef, recipientSnap.ref, wamid, sentAt);
+    await db.collection('leads').doc(leadId).update({
+      lastCampaign: { id: campaignRef.id, sentAt }
+    });
+  } catch (err) {
+    const error = err.response?.data?.error?.message || err.message;
+    console.error(`❌ campaña ${campaignRef.id} → ${leadId}:`, error);
+    await recipientSnap.ref.update({ status: 'failed', error });
+    await campaignRef.update({ 'stats.failed': FieldValue.increment(1) });
+  }
+}
+
+/**
+ * Cron de campañas: arranca las programadas que ya tocan y envía el
+ * siguiente lote de las que están en curso. Se detiene en cuanto una
+ * campaña se pausa o cancela.
+ */
+export async function processCampaigns() {
+  const snap = await db.collection('campaigns')
+    .where('status', 'in', ['scheduled', 'running'])
+    .get();
+  if (snap.empty) return;
+  const schedCfg = await getSchedulingConfig();
+
+  for (const campaignSnap of snap.docs) {
+    const campaignRef = campaignSnap.ref;
+    const campaign = campaignSnap.data();
+
+    try {
+      if (campaign.status === 'scheduled') {
+        if (toDate(campaign.scheduledAt) > new Date()) continue;
+        await buildRecipients(campaignRef, campaign);
+      }
+
+      const pending = await campaignRef.collection('recipients')
+        .where('status', '==', 'pending')
+        .limit(BATCH_SIZE)
+        .get();
+
+      if (pending.empty) {
+        if (!(await recoverStaleRecipients(campaignRef))) {
+          await campaignRef.update({ status: 'completed', completedAt: new Date() });
+          console.log(`✅ campaña ${campaignRef.id} completada`);
+        }
+        continue;
+      }
+
+      for (const [i, recipientSnap] of pending.docs.entries()) {
+        // Cada 20 envíos comprobamos si la pausaron o cancelaron
+        if (i % 20 === 0 && i > 0) {
+          const { status } = (await campaignRef.get()).data();
+          if (status !== 'running') break;
+        }
+        await sendToRecipient(campaignRef, campaign, recipientSnap, schedCfg);
+      }
+    } catch (err) {
+      console.error(`❌ Error procesando campaña ${campaignRef.id}:`, err);
+    }
+  }
+}
+
+/**
+ * Actualiza el destinatario de campaña con el estado que llega del webhook
+ * y suma a las stats los estados alcanzados (un 'read' sin 'delivered'
+ * previo cuenta también como entregado).
+ */
+export async function recordCampaignStatus(campaignId, leadId, status, error) {
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const recipientRef = campaignRef.collection('recipients').doc(leadId);
+
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(recipientRef);
+    if (!snap.exists) return;
+    const current = snap.data().status;
+    if ((RECIPIENT_RANK[current] ?? 0) >= RECIPIENT_RANK[status]) return;
+
+    const increments = {};
+    if (status === 'failed') {
+      increments['stats.failed'] = FieldValue.increment(1);
+    } else {
+      for (const s of ['delivered', 'read']) {
+        if (RECIPIENT_RANK[s] > RECIPIENT_RANK[current] && RECIPIENT_RANK[s] <= RECIPIENT_RANK[status]) {
+          increments[`stats.${s}`] = FieldValue.increment(1);
+        }
+      }
+    }
+    tx.update(recipientRef, {
+      status,
+      [`${status}At`]: new Date(),
+      ...(error ? { error: `${error.code}: ${error.title || ''}` } : {})
+    });
+    if (Object.keys(increments).length) tx.update(campaignRef, increments);
+  });
+}
+
+/**
+ * Marca como 'replied' al destinatario de la última campaña del lead si
+ * éste escribe después del envío (sólo la primera respuesta cuenta).
+ */
+export async function recordCampaignReply(lead) {
+  const last = lead.lastCampaign;
+  if (!last?.id) return;
+  const campaignRef = db.collection('campaigns').doc(last.id);
+  const recipientRef = campaignRef.collection('recipients').doc(lead.id);
+
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(recipientRef);
+    if (!snap.exists || snap.data().repliedAt) return;
+    tx.update(recipientRef, { repliedAt: new Date() });
+    tx.update(campaignRef, { 'stats.replied': FieldValue.increment(1) });
+  });
+}
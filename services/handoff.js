@@ -0,0 +1,81 @@
+// services/handoff.js
+import { db } from '../firebaseAdmin.js';
+
+// Minutos sin actividad del agente tras los que se reanudan las automatizaciones
+const DEFAULT_INACTIVITY_MIN = 60;
+
+/**
+ * Lee de config/appConfig.handoffInactivityMin cuántos ms de inactividad
+ * del agente terminan el modo handoff.
+ */
+export async function getHandoffInactivityMs() {
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  const min = cfgSnap.exists ? cfgSnap.data().handoffInactivityMin : null;
+  return (Number(min) || DEFAULT_INACTIVITY_MIN) * 60_000;
+}
+
+/**
+ * true si un agente tiene el chat del lead: handoff activo y con actividad
+ * del agente más reciente que `inactivityMs`.
+ */
+export function isHandoffActive(lead, inactivityMs) {
+  const h = lead.handoff;
+  if (!h?.active) return false;
+  const last = h.lastAgentActivityAt?.toDate?.() || h.lastAgentActivityAt;
+  if (!last) return true;
+  return Date.now() - new Date(last).getTime() < inactivityMs;
+}
+
+/**
+ * Comprueba el handoff de un lead y, si expiró por inactividad, lo cierra
+ * para que las secuencias y envíos automáticos se reanuden.
+ * @returns {Promise<boolean>} true si las automatizaciones deben pausarse.
+ */
+export async function checkHandoff(lead, inactivityMs) {
+  if (!lead.handoff?.active) return false;
+  if (isHandoffActive(lead, inactivityMs)) return true;
+
+  await db.collection('leads').doc(lead.id).update({
+    'handoff.active':    false,
+    'handoff.endedAt':   new Date(),
+    'handoff.endReason': 'inactividad'
+  });
+  console.log(`▶️ handoff de ${lead.id} expirado por inactividad, se reanudan automatizaciones`);
+  return false;
+}
+
+/** Activa (o refresca) el handoff del lead registrando la actividad del agente. */
+export async function touchHandoff(leadId, agentId = null) {
+  const leadRef = db.collection('leads').doc(leadId);
+  const snap = await leadRef.get();
+  if (!snap.exists) return;
+  const now = new Date();
+  const current = snap.data().handoff;
+
+  await leadRef.update({
+    handoff: {
+      active:              true,
+      agentId:             agentId || current?.agentId || null,
+      since:               current?.active ? current.since : now,
+      lastAgentActivityAt: now
+    }
+  });
+}
+
+/** Igual que touchHandoff pero localizando el lead por teléfono. */
+export async function touchHandoffByPhone(phone, agentId = null) {
+  const q = await db.collection('leads')
+                    .where('telefono', '==', String(phone).replace(/\D/g, ''))
+                    .limit(1)
+                    .get();
+  if (!q.empty) await touchHandoff(q.docs[0].id, agentId);
+}
+
+/** Termina el handoff manualmente (el agente devuelve el chat a la automatización). */
+export async function endHandoff(leadId, reason = 'manual') {
+  await db.collection('leads').doc(leadId).update({
+    'handoff.active':    false,
+    'handoff.endedAt':   new Date(),
+    'handoff.endReason': reason
+  });
+}
@@ -0,0 +1,252 @@
+// services/lyricsApproval.js
+//
+// Aprobación y revisión de letras por WhatsApp, para pedidos de 'letras'
+// y de 'musica'. Cada versión queda en <pedido>/lyricsVersions/v<N> y el
+// pedido guarda la vigente en `lyricsVersion`.
+//
+// El lead aprueba con el botón "Me gusta la letra" (el id lleva la versión)
+// o con una respuesta corta exacta ("me gusta", "perfecta", …); pide cambios
+// con "Quiero cambios" (botón o respuesta corta) y luego los describe. En el
+// lead, `lyricsReview` { collection, id, version, awaitingChanges } indica
+// qué letra espera respuesta.
+//
+// - musica: 'Letra por aprobar' → 'Sin prompt' (aprobada, sigue a Suno)
+//                               → 'Revisar letra' (se regenera y se reenvía)
+// - letras: aprobada → `lyricsApproved`; cambios → status 'Revisar letra'.
+import { admin, db } from '../firebaseAdmin.js';
+import { sendTextMessage } from '../whatsappService.js';
+import { completeStage } from './musicaStages.js';
+import { normalizeText } from '../utils/text.js';
+
+const { FieldValue } = admin.firestore;
+
+/** Campo con la letra vigente en cada colección de pedidos. */
+export const LYRICS_FIELDS = { letras: 'letra', musica: 'lyrics' };
+
+const APPROVE_PREFIX = 'letra_ok';
+const CHANGES_PREFIX = 'letra_cambios';
+
+// Respuestas cortas que cuentan como tales sin botón: el mensaje completo
+// (normalizado) debe coincidir, para no confundir charla con una decisión
+const APPROVE_REPLIES = ['me gusta', 'si me gusta', 'me encanta', 'me gusta la letra', 'aprobada',
+                         'aprobado', 'asi esta bien', 'esta perfecta', 'perfecta', 'de acuerdo'];
+const CHANGE_REPLIES  = ['quiero cambios', 'cambios', 'no me gusta', 'tengo cambios',
+                         'quiero cambiar algo'];
+
+/** Texto normalizado sin signos ni emojis, para comparar respuestas cortas. */
+function shortReply(text) {
+  return normalizeText(text).replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Mensaje de botones para aprobar una versión de la letra de un pedido
+ * (tipo 'buttons' del outbox).
+ */
+export function approvalMessage(collection, id, version, text) {
+  return {
+    type: 'buttons',
+    content: text,
+    buttons: [
+      { id: `${APPROVE_PREFIX}:${collection}:${id}:v${version}`, title: 'Me gusta la letra' },
+      { id: `${CHANGES_PREFIX}:${collection}:${id}:v${version}`, title: 'Quiero cambios' }
+    ]
+  };
+}
+
+/** Grupo del outbox con el que se envía una versión de la letra de un pedido 'musica'. */
+export function lyricsGroup(id, version) {
+  return `musicaLetra:${id}:v${version}`;
+}
+
+/**
+ * true si la letra de un pedido 'musica' ya se encoló pero el outbox aún
+ * no confirmó la entrega (sigue en 'Enviar letra'): si el lead responde,
+ * es que le llegó.
+ */
+function awaitingDelivery(id, data) {
+  return data.status === 'Enviar letra'
+    && data.lyricsOutboxGroup === lyricsGroup(id, data.lyricsVersion || 1);
+}
+
+/** true si la letra del pedido sigue esperando aprobación o cambios. */
+function lyricsPending(collection, id, data) {
+  return collection === 'musica'
+    ? data.status === 'Letra por aprobar' || awaitingDelivery(id, data)
+    : !data.lyricsApproved && data.status !== 'Revisar letra';
+}
+
+function notPendingError(collection, id) {
+  const err = new Error(`La letra de ${collection}/${id} ya no está pendiente de aprobación`);
+  err.code = 'LYRICS_NOT_PENDING';
+  return err;
+}
+
+/**
+ * Guarda una versión de la letra del pedido.
+ * @param {Object} opts - { source: 'generada'|'revision'|'agente', changes? }
+ * @returns {Promise<number>} número de la versión (súmalo al pedido como `lyricsVersion`).
+ */
+export async function saveLyricsVersion(ref, data, lyrics, { source, changes = null }) {
+  const version = (data.lyricsVersion || 0) + 1;
+  await ref.collection('lyricsVersions').doc(`v${version}`).set({
+    version,
+    lyrics,
+    source,
+    changes,
+    status:    'pendiente',
+    createdAt: new Date()
+  });
+  return version;
+}
+
+/** Marca en el lead la letra que espera su aprobación. */
+export async function awaitLyricsReview(leadId, collection, id, version) {
+  await db.collection('leads').doc(leadId).update({
+    lyricsReview: { collection, id, version, awaitingChanges: false, since: new Date() }
+  });
+}
+
+/** Lista las versiones de la letra de un pedido (de la primera a la última). */
+export async function getLyricsVersions(collection, id) {
+  const snap = await db.collection(collection).doc(id)
+    .collection('lyricsVersions').orderBy('version').get();
+  return snap.docs.map(d => d.data());
+}
+
+async function clearReview(leadId, collection, id) {
+  if (!leadId) return;
+  const leadRef = db.collection('leads').doc(leadId);
+  const review = (await leadRef.get()).data()?.lyricsReview;
+  if (review?.collection === collection && review.id === id) {
+    await leadRef.update({ lyricsReview: FieldValue.delete() });
+  }
+}
+
+/**
+ * Aprueba una versión de la letra (por defecto la vigente). En 'musica'
+ * libera el pedido para que continúe hacia la generación de la canción.
+ * @param {Object} opts - { version?, by: 'lead'|'agente', agentId? }
+ */
+export async function approveLyrics(collection, id, { version, by = 'lead', agentId = null } = {}) {
+  const field = LYRICS_FIELDS[collection];
+  if (!field) throw new Error(`Colección inválida: ${collection}`);
+  const ref = db.collection(collection).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error(`Pedido ${collection}/${id} no existe`);
+  const data = snap.data();
+  if (!lyricsPending(collection, id, data)) throw notPendingError(collection, id);
+  if (collection === 'musica' && awaitingDelivery(id, data)) await completeStage(ref, 'Letra por aprobar');
+
+  const approved = Number(version) || data.lyricsVersion || 1;
+  const versionRef = ref.collection('lyricsVersions').doc(`v${approved}`);
+  const versionSnap = await versionRef.get();
+  const fields = {
+    approvedLyricsVersion: approved,
+    lyricsApprovedAt:      new Date(),
+    lyricsApprovedBy:      agentId || by
+  };
+  // Aprobar una versión anterior la vuelve la vigente
+  if (versionSnap.exists) fields[field] = versionSnap.data().lyrics;
+
+  if (collection === 'musica') {
+    await completeStage(ref, 'Sin prompt', fields);
+  } else {
+    await ref.update({ ...fields, lyricsApproved: true });
+  }
+  if (versionSnap.exists) await versionRef.update({ status: 'aprobada', approvedAt: new Date() });
+
+  await clearReview(data.leadId, collection, id);
+  console.log(`👍 letra v${approved} aprobada para ${collection}/${id} (${agentId || by})`);
+  return approved;
+}
+
+/**
+ * Registra los cambios pedidos y manda el pedido a 'Revisar letra' para
+ * regenerar la letra con la versión anterior como contexto.
+ */
+export async function requestLyricsRevision(collection, id, changes, { by = 'lead', agentId = null } = {}) {
+  if (!LYRICS_FIELDS[collection]) throw new Error(`Colección inválida: ${collection}`);
+  if (!String(changes || '').trim()) throw new Error('Faltan los cambios a la letra');
+  const ref = db.collection(collection).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error(`Pedido ${collection}/${id} no existe`);
+  const data = snap.data();
+  if (!lyricsPending(collection, id, data)) throw notPendingError(collection, id);
+  if (collection === 'musica' && awaitingDelivery(id, data)) await completeStage(ref, 'Letra por aprobar');
+
+  const fields = {
+    revisionRequest: { changes: changes.trim(), by: agentId || by, at: new Date() },
+    revisionCount:   FieldValue.increment(1)
+  };
+  if (collection === 'musica') {
+    await completeStage(ref, 'Revisar letra', fields);
+  } else {
+    await ref.update({ ...fields, status: 'Revisar letra' });
+  }
+  if (data.lyricsVersion) {
+    await ref.collection('lyricsVersions').doc(`v${data.lyricsVersion}`)
+      .update({ status: 'con cambios' }).catch(() => {});
+  }
+
+  await clearReview(data.leadId, collection, id);
+  console.log(`✏️ cambios pedidos a la letra de ${collection}/${id}`);
+}
+
+/**
+ * Interpreta la respuesta del lead a una letra pendiente de aprobación:
+ * botones "Me gusta la letra"/"Quiero cambios" o una respuesta corta exacta;
+ * tras pedir cambios, el siguiente mensaje es la descripción de los cambios.
+ * @param {Object} lead - { id, telefono, lyricsReview, … }
+ * @param {Object|null} reply - Opción elegida (botón/lista) o null.
+ * @param {string} text - Texto del mensaje (o transcripción).
+ * @returns {Promise<boolean>} true si el mensaje era una respuesta sobre la letra.
+ */
+export async function handleLyricsReply(lead, reply, text) {
+  const [prefix, buttonCollection, buttonId, v] = String(reply?.id || '').split(':');
+  const button = [APPROVE_PREFIX, CHANGES_PREFIX].includes(prefix) && buttonId
+    ? { collection: buttonCollection, id: buttonId, version: Number(String(v || '').slice(1)) || undefined }
+    : null;
+
+  const review = lead.lyricsReview;
+  const normalized = shortReply(text);
+  let action = null;
+  if (button) action = prefix === APPROVE_PREFIX ? 'approve' : 'askChanges';
+  else if (review?.awaitingChanges && normalized) action = 'revise';
+  else if (review && APPROVE_REPLIES.includes(normalized)) action = 'approve';
+  else if (review && CHANGE_REPLIES.includes(normalized)) action = 'askChanges';
+  if (!action) return false;
+
+  const target = button || review;
+  // El id del botón viene del cliente: sólo vale sobre un pedido del propio lead
+  if (!Object.hasOwn(LYRICS_FIELDS, target.collection)) return false;
+  const orderSnap = await db.collection(target.collection).doc(target.id).get();
+  if (!orderSnap.exists || orderSnap.data().leadId !== lead.id) {
+    console.warn(`⚠️ lead ${lead.id} respondió sobre la letra de un pedido ajeno o inexistente (${target.collection}/${target.id})`);
+    return false;
+  }
+
+  try {
+    if (action === 'approve') {
+      await approveLyrics(target.collection, target.id, { version: target.version });
+      await sendTextMessage(lead.telefono, '¡Perfecto! Seguimos con tu canción con esta letra 🎶');
+    } else if (action === 'revise') {
+      await requestLyricsRevision(target.collection, target.id, text);
+      await sendTextMessage(lead.telefono, 'Anotado ✍️ En un momento te comparto la nueva versión de la letra.');
+    } else {
+      if (!lyricsPending(target.collection, target.id, orderSnap.data())) {
+        throw notPendingError(target.collection, target.id);
+      }
+      await db.collection('leads').doc(lead.id).update({
+        lyricsReview: { ...(review || {}), ...target, awaitingChanges: true }
+      });
+      await sendTextMessage(lead.telefono,
+        'Claro, cuéntame qué te gustaría cambiar (por ejemplo: "cambia el coro" o "menciona a su perro").');
+    }
+  } catch (err) {
+    if (err.code !== 'LYRICS_NOT_PENDING') throw err;
+    await clearReview(lead.id, target.collection, target.id);
+    await sendTextMessage(lead.telefono,
+      'Esa letra ya no está pendiente de aprobación 🙂 Si quieres algún cambio, escríbenos y te ayudamos.');
+  }
+  return true;
+}
@@ -0,0 +1,54 @@
+// services/musicProviders/index.js
+//
+// Registro de proveedores de generación de música. Cada proveedor implementa:
+//   launchTask({ title, style, lyrics, callbackUrl, model }) → taskId
+//   parseCallback(body) → { taskId, type: 'text'|'first'|'complete'|'error', code, message, tracks }
+//   getTaskStatus(taskId) → { status: 'running'|'complete'|'failed'|'unknown', tracks, message }
+//   listModels() → [modelo]
+//   getCredits() → créditos restantes
+// Pistas: { id, title, tags, duration, audioUrl, imageUrl, localPath? }.
+import { db } from '../../firebaseAdmin.js';
+import suno from './suno.js';
+import mock from './mock.js';
+
+const PROVIDERS = { suno, mock };
+
+/** Devuelve el proveedor por nombre (sin nombre: MUSIC_PROVIDER o 'suno'). */
+export function getMusicProvider(name) {
+  const provider = PROVIDERS[name || process.env.MUSIC_PROVIDER || 'suno'];
+  if (!provider) throw new Error(`Proveedor de música desconocido: ${name}`);
+  return provider;
+}
+
+/**
+ * Elige proveedor y modelo para un pedido: `musicProvider`/`musicModel` del
+ * doc si ya los tiene; si no, config/appConfig.musicProviders
+ * { weights: { suno: 0.9, mock: 0.1 }, models: { suno: 'V4_5' } } para A/B;
+ * y si tampoco, MUSIC_PROVIDER.
+ * @returns {Promise<{ provider: Object, model: string }>}
+ */
+export async function pickMusicProvider(data = {}) {
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  const cfg = (cfgSnap.exists && cfgSnap.data().musicProviders) || {};
+
+  let name = data.musicProvider;
+  if (!name && cfg.weights) {
+    const entries = Object.entries(cfg.weights).filter(([n, w]) => PROVIDERS[n] && w > 0);
+    const total = entries.reduce((sum, [, w]) => sum + w, 0);
+    let r = Math.random() * total;
+    name = entries.find(([, w]) => (r -= w) < 0)?.[0];
+  }
+  const provider = getMusicProvider(name);
+  return { provider, model: data.musicModel || cfg.models?.[provider.name] || provider.defaultModel };
+}
+
+/** Resumen de los proveedores (modelos y créditos) para el panel. */
+export async function listMusicProviders() {
+  return Promise.all(Object.values(PROVIDERS).map(async p => {
+    const [models, credits] = await Promise.all([
+      p.listModels(),
+      p.getCredits().catch(err => ({ error: err.message }))
+    ]);
+    return { name: p.name, defaultModel: p.defaultModel, models, credits };
+  }));
+}
@@ -0,0 +1,90 @@
+// services/musicProviders/mock.js
+//
+// Proveedor local para correr el pipeline de 'musica' completo sin gastar
+// créditos: genera con ffmpeg dos tonos de 90 s y, tras MOCK_MUSIC_DELAY_MS,
+// envía el callback 'complete' a la URL de la tarea como lo haría Suno.
+// Las pistas llevan `localPath` en lugar de una URL pública; esas rutas sólo
+// viven en memoria (por taskId) y nunca se leen del cuerpo del callback.
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+
+const DELAY_MS = Number(process.env.MOCK_MUSIC_DELAY_MS) || 5_000;
+const DIR = path.join(os.tmpdir(), 'mock-music');
+
+// Tareas en memoria: taskId → { status, tracks, message }
+const tasks = new Map();
+
+function generateTone(dest, frequency) {
+  return new Promise((res, rej) => {
+    ffmpeg()
+      .input(`sine=frequency=${frequency}:duration=90`)
+      .inputFormat('lavfi')
+      .audioCodec('libmp3lame')
+      .output(dest)
+      .on('end', res)
+      .on('error', rej)
+      .run();
+  });
+}
+
+async function runTask(taskId, { title, style, callbackUrl }) {
+  try {
+    fs.mkdirSync(DIR, { recursive: true });
+    const tracks = [];
+    for (const [i, frequency] of [440, 523].entries()) {
+      const localPath = path.join(DIR, `${taskId}-${i}.mp3`);
+      await generateTone(localPath, frequency);
+      tracks.push({ id: `${taskId}-${i}`, title, tags: style || '', duration: 90, audioUrl: null, imageUrl: null, localPath });
+    }
+    tasks.set(taskId, { status: 'complete', tracks, message: '' });
+  } catch (err) {
+    tasks.set(taskId, { status: 'failed', tracks: [], message: err.message });
+  }
+
+  if (!callbackUrl) return;
+  const task = tasks.get(taskId);
+  await axios.post(callbackUrl, { taskId, status: task.status })
+    .catch(err => console.error(`❌ mock music: callback de ${taskId} falló:`, err.message));
+}
+
+export default {
+  name: 'mock',
+  defaultModel: 'tono',
+
+  async launchTask({ title, style, callbackUrl }) {
+    const taskId = `mock-${crypto.randomUUID()}`;
+    tasks.set(taskId, { status: 'running', tracks: [], message: '' });
+    setTimeout(() => runTask(taskId, { title, style, callbackUrl }), DELAY_MS);
+    console.log(`🧪 mock music: tarea ${taskId} lanzada`);
+    return taskId;
+  },
+
+  parseCallback(body) {
+    // El body sólo identifica la tarea: pistas y estado salen de memoria
+    const task = tasks.get(body.taskId);
+    const failed = task?.status !== 'complete';
+    return {
+      taskId:  body.taskId,
+      type:    failed ? 'error' : 'complete',
+      code:    failed ? 500 : 200,
+      message: task ? task.message : 'tarea no encontrada',
+      tracks:  failed ? [] : task.tracks
+    };
+  },
+
+  async getTaskStatus(taskId) {
+    return tasks.get(taskId) || { status: 'unknown', tracks: [], message: 'tarea no encontrada' };
+  },
+
+  async listModels() {
+    return [this.defaultModel];
+  },
+
+  async getCredits() {
+    return null; // sin límite
+  }
+};
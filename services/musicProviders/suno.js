@@ -0,0 +1,109 @@
+// services/musicProviders/suno.js
+//
+// Proveedor Suno a través del gateway apibox.erweima.ai.
+import axios from 'axios';
+
+const API_BASE = 'https://apibox.erweima.ai/api/v1';
+const MODELS = ['V3_5', 'V4', 'V4_5'];
+
+function headers() {
+  return {
+    'Content-Type': 'application/json',
+    Authorization:  `Bearer ${process.env.SUNO_API_KEY}`
+  };
+}
+
+/** Normaliza una pista de Suno (callback usa snake_case, record-info camelCase). */
+function toTrack(item) {
+  return {
+    id:       item.id || null,
+    title:    item.title || '',
+    tags:     item.tags || '',
+    duration: item.duration ?? null,
+    audioUrl: item.audio_url || item.source_audio_url || item.audioUrl || item.sourceAudioUrl || null,
+    imageUrl: item.image_url || item.source_image_url || item.imageUrl || item.sourceImageUrl || null
+  };
+}
+
+// status de record-info → status normalizado
+const TASK_STATUS = {
+  PENDING:               'running',
+  TEXT_SUCCESS:          'running',
+  FIRST_SUCCESS:         'running',
+  SUCCESS:               'complete',
+  CREATE_TASK_FAILED:    'failed',
+  GENERATE_AUDIO_FAILED: 'failed',
+  CALLBACK_EXCEPTION:    'failed',
+  SENSITIVE_WORD_ERROR:  'failed'
+};
+
+export default {
+  name: 'suno',
+  defaultModel: 'V4_5',
+
+  /** Lanza la generación y retorna el taskId. */
+  async launchTask({ title, style, lyrics, callbackUrl, model }) {
+    const body = {
+      model:        model || this.defaultModel,
+      customMode:   true,
+      instrumental: false,
+      title,
+      style,
+      prompt:       lyrics,
+      callbackUrl
+    };
+
+    console.log('🛠️ Suno request:', { body });
+    const res = await axios.post(`${API_BASE}/generate`, body, { headers: headers() });
+    console.log('🛠️ Suno response:', res.status, res.data);
+
+    if (res.data.code !== 200 || !res.data.data?.taskId) {
+      throw new Error(`No taskId recibido de Suno. Respuesta: ${JSON.stringify(res.data)}`);
+    }
+    return res.data.data.taskId;
+  },
+
+  /**
+   * Traduce el callback: callbackType 'text' | 'first' | 'complete' y los
+   * errores (code ≠ 200 o callbackType 'error') a { taskId, type, code, message, tracks }.
+   */
+  parseCallback(body) {
+    const code = body.code ?? 200;
+    const isError = code !== 200 || body.data?.callbackType === 'error';
+    return {
+      taskId:  body.taskId || body.data?.taskId || body.data?.task_id,
+      type:    isError ? 'error' : (body.data?.callbackType || 'complete'),
+      code,
+      message: body.msg || '',
+      tracks:  (Array.isArray(body.data?.data) ? body.data.data : []).map(toTrack)
+    };
+  },
+
+  /** Estado de la tarea: { status: 'running'|'complete'|'failed'|'unknown', tracks, message }. */
+  async getTaskStatus(taskId) {
+    const res = await axios.get(`${API_BASE}/generate/record-info`, {
+      params: { taskId },
+      headers: headers()
+    });
+    if (res.data.code !== 200 || !res.data.data) {
+      return { status: 'unknown', tracks: [], message: res.data.msg || '' };
+    }
+    const info = res.data.data;
+    return {
+      status:  TASK_STATUS[info.status] || 'unknown',
+      tracks:  (info.response?.sunoData || []).map(toTrack),
+      message: info.errorMessage || info.status
+    };
+  },
+
+  async listModels() {
+    return MODELS;
+  },
+
+  /** Créditos restantes en el gateway. */
+  async getCredits() {
+    const res = await axios.get(`${API_BASE}/generate/credit`, { headers: headers() });
+    if (res.data.code !== 200) throw new Error(`Suno credit: ${res.data.msg}`);
+    return res.data.data;
+  }
+};
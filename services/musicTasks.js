@@ -0,0 +1,305 @@
+// services/musicTasks.js
+//
+// Tareas de generación de música de los pedidos de 'musica', independientes
+// del proveedor (ver services/musicProviders): lanzamiento, URL de callback
+// firmada, procesamiento del callback e ingesta de las pistas en Storage.
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { admin, db } from '../firebaseAdmin.js';
+import { completeStage, extendLease, STAGES } from './musicaStages.js';
+import { getMusicProvider, pickMusicProvider } from './musicProviders/index.js';
+
+/** Firma HMAC del id del doc 'musica' para la URL de callback de cada tarea. */
+function signMusicaId(musicaId) {
+  const secret = process.env.SUNO_CALLBACK_SECRET;
+  if (!secret) throw new Error('Falta la variable de entorno SUNO_CALLBACK_SECRET');
+  return crypto.createHmac('sha256', secret).update(musicaId).digest('hex');
+}
+
+/**
+ * Construye la URL de callback firmada para un doc de 'musica':
+ * CALLBACK_URL?musicaId=<id>&sig=<hmac>
+ */
+export function buildCallbackUrl(musicaId) {
+  const url = new URL(process.env.CALLBACK_URL);  // tu endpoint /api/suno/callback
+  url.searchParams.set('musicaId', musicaId);
+  url.searchParams.set('sig', signMusicaId(musicaId));
+  return url.toString();
+}
+
+/** Comprueba la firma recibida en la URL de callback. */
+export function verifyCallbackSignature(musicaId, sig) {
+  if (!musicaId || !sig) return false;
+  const expected = Buffer.from(signMusicaId(musicaId), 'hex');
+  const received = Buffer.from(String(sig), 'hex');
+  return expected.length === received.length
+    && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Lanza la generación de música del pedido con el proveedor que le toca
+ * (ver pickMusicProvider).
+ * @returns {Promise<{ taskId: string, provider: string, model: string }>}
+ */
+export async function launchMusicTask({ musicaId, data, title, stylePrompt, lyrics }) {
+  const { provider, model } = await pickMusicProvider(data);
+  const taskId = await provider.launchTask({
+    title,
+    style:       stylePrompt,
+    lyrics,
+    model,
+    callbackUrl: buildCallbackUrl(musicaId)
+  });
+  return { taskId, provider: provider.name, model };
+}
+
+/**
+ * Descarga cada pista del proveedor (o toma su `localPath`) y la sube a
+ * Storage. Devuelve las variaciones normalizadas.
+ */
+export async function ingestVariations(taskId, tracks) {
+  const bucket = admin.storage().bucket();
+  const variations = [];
+
+  for (const [i, track] of tracks.entries()) {
+    if (!track.audioUrl && !track.localPath) continue;
+
+    let source = track.localPath;
+    if (!source) {
+      source = path.join(os.tmpdir(), `${taskId}-${i}-full.mp3`);
+      const r = await axios.get(track.audioUrl, { responseType: 'stream' });
+      await new Promise((ok, ko) => {
+        const ws = fs.createWriteStream(source);
+        r.data.pipe(ws);
+        ws.on('finish', ok);
+        ws.on('error', ko);
+      });
+    }
+
+    const fullPath = `musica/full/${taskId}-${i}.mp3`;
+    await bucket.upload(source, { destination: fullPath, metadata: { contentType: 'audio/mpeg' } });
+    const [fullUrl] = await bucket.file(fullPath)
+      .getSignedUrl({ action: 'read', expires: Date.now() + 86400_000 });
+    fs.unlink(source, () => {});
+
+    variations.push({
+      id:       track.id || null,
+      title:    track.title || '',
+      tags:     track.tags || '',
+      duration: track.duration ?? null,
+      audioUrl: track.audioUrl || null,
+      imageUrl: track.imageUrl || null,
+      fullPath,
+      fullUrl
+    });
+  }
+  return variations;
+}
+
+// Una ingesta en curso ('musicCallbacks.complete.ingestAt') que no terminó
+// tras el lease de la etapa se da por abandonada (proceso caído)
+const INGEST_STALE_MS = STAGES['Sin música'].leaseMs;
+
+/**
+ * Registra el callback en `musicCallbacks.<tipo>` dentro de una transacción.
+ * Devuelve false si ese tipo ya se había recibido para el doc (reintento).
+ * Un 'complete' marca además el inicio de la ingesta (`ingestAt`).
+ */
+async function claimCallback(docRef, taskId, callbackType, code, msg) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(docRef);
+    const data = snap.data();
+    if (data.taskId && data.taskId !== taskId) return false;      // tarea antigua
+    // duplicado (tras un reintento la tarea nueva tiene otro taskId)
+    if (data.musicCallbacks?.[callbackType]?.taskId === taskId) return false;
+    // 'complete' y 'error' sólo aplican mientras se espera la música
+    if (['complete', 'error'].includes(callbackType) && data.status !== 'Procesando música') return false;
+    // Un 'error' tardío no descarta una tarea que ya terminó
+    if (callbackType === 'error' && data.musicCallbacks?.complete?.taskId === taskId) return false;
+
+    const now = new Date();
+    tx.update(docRef, {
+      [`musicCallbacks.${callbackType}`]: {
+        taskId, code, msg: msg || '', receivedAt: now,
+        ...(callbackType === 'complete' ? { ingestAt: now } : {})
+      }
+    });
+    return true;
+  });
+}
+
+/**
+ * Reclama la reingesta de una tarea cuyo 'complete' ya se registró pero no
+ * llegó a 'Audio listo': la ingesta anterior falló ('Error ingesta' ya
+ * reintentado, sin `ingestAt`) o murió a medias (`ingestAt` caducado).
+ */
+async function claimReingest(docRef, taskId) {
+  return db.runTransaction(async tx => {
+    const data = (await tx.get(docRef)).data();
+    const complete = data?.musicCallbacks?.complete;
+    if (data?.status !== 'Procesando música' || data.taskId !== taskId) return false;
+    if (complete?.taskId !== taskId) return false;
+    const ingestAt = complete.ingestAt?.toMillis?.();
+    if (ingestAt && Date.now() - ingestAt < INGEST_STALE_MS) return false;
+
+    tx.update(docRef, { 'musicCallbacks.complete.ingestAt': new Date() });
+    return true;
+  });
+}
+
+/**
+ * Ingesta las pistas de una tarea terminada → 'Audio listo'. Una tarea sin
+ * audio se regenera ('Error música'); un fallo al descargar o subir sólo
+ * repite la ingesta ('Error ingesta'), sin pagar otra canción.
+ * @returns {Promise<Array|null>} variaciones guardadas, o null si falló.
+ */
+async function ingestTask(docRef, taskId, tracks, fields = {}) {
+  let variations;
+  try {
+    variations = await ingestVariations(taskId, tracks || []);
+  } catch (err) {
+    console.error(`❌ ingesta de la tarea ${taskId} (musica/${docRef.id}):`, err.message);
+    await completeStage(docRef, 'Error ingesta', {
+      errorMsg: `Ingesta: ${err.message}`,
+      'musicCallbacks.complete.ingestAt': admin.firestore.FieldValue.delete()
+    });
+    return null;
+  }
+  if (!variations.length) {
+    await completeStage(docRef, 'Error música', { errorMsg: 'Tarea completa sin audio' });
+    return null;
+  }
+  await completeStage(docRef, 'Audio listo', {
+    variations,
+    fullUrl: variations[0].fullUrl,
+    ...fields
+  });
+  return variations;
+}
+
+/**
+ * Procesa el callback del proveedor de música para un doc de 'musica'
+ * (el payload lo interpreta el proveedor guardado en `musicProvider`).
+ * - 'text' / 'first': sólo se registran.
+ * - 'complete': descarga y guarda todas las variaciones → 'Audio listo'
+ *   (ver ingestTask).
+ * - 'error': → 'Error música' con el mensaje.
+ * Devuelve una promesa con el trabajo pesado para poder responder antes al proveedor.
+ * @returns {{ status: number, work?: Promise }}
+ */
+export async function handleMusicCallback({ musicaId, sig, body }) {
+  if (!verifyCallbackSignature(musicaId, sig)) {
+    console.warn(`⚠️ callback de música con firma inválida (musicaId=${musicaId})`);
+    return { status: 401 };
+  }
+
+  const docRef = db.collection('musica').doc(musicaId);
+  const snap = await docRef.get();
+  if (!snap.exists) {
+    // Respondemos 200 para que el proveedor no reintente eternamente
+    console.warn(`⚠️ callback de música para doc inexistente ${musicaId}`);
+    return { status: 200 };
+  }
+
+  // Los pedidos lanzados antes de guardar el proveedor son de Suno
+  const provider = getMusicProvider(snap.data().musicProvider || 'suno');
+  const { taskId, type, code, message, tracks } = provider.parseCallback(body);
+
+  if (!(await claimCallback(docRef, taskId, type, code, message))) {
+    console.log(`↩️ callback ${provider.name} ${type} ignorado para ${musicaId} (duplicado o tarea antigua)`);
+    return { status: 200 };
+  }
+
+  if (type === 'error') {
+    console.error(`❌ ${provider.name} reportó error para ${musicaId}:`, code, message);
+    await completeStage(docRef, 'Error música', {
+      errorMsg: `${provider.name} (${code}): ${message || 'error desconocido'}`
+    });
+    return { status: 200 };
+  }
+
+  if (type !== 'complete') return { status: 200 };
+
+  const work = (async () => {
+    try {
+      const variations = await ingestTask(docRef, taskId, tracks);
+      if (variations) {
+        console.log(`✅ callback ${provider.name}: ${variations.length} variaciones guardadas para ${musicaId}`);
+      }
+    } catch (err) {
+      // Si ni siquiera se pudo mover de etapa, reconcileMusicTasks reintenta la ingesta
+      console.error(`❌ callback de música para ${musicaId}:`, err.message);
+    }
+  })();
+
+  return { status: 200, work };
+}
+
+// Minutos desde el lanzamiento tras los que se consulta al proveedor, y
+// espera máxima antes de dar la tarea por perdida
+const RECONCILE_AFTER_MS = (Number(process.env.MUSIC_RECONCILE_AFTER_MIN) || 5) * 60_000;
+const MAX_WAIT_MS        = (Number(process.env.MUSIC_MAX_WAIT_MIN) || 60) * 60_000;
+
+/**
+ * Concilia los pedidos en 'Procesando música' cuyo callback no llegó:
+ * consulta la tarea en el proveedor y
+ * - 'complete': ingesta las pistas → 'Audio listo' (como el callback);
+ * - 'running': alarga el lease y sigue esperando (hasta MAX_WAIT_MS);
+ * - 'failed' / 'unknown': → 'Error música', que reintenta con backoff.
+ * Si el 'complete' ya estaba registrado pero la ingesta falló o murió a
+ * medias, repite sólo la ingesta con las pistas de la misma tarea.
+ */
+export async function reconcileMusicTasks() {
+  const snap = await db.collection('musica')
+    .where('status', '==', 'Procesando música')
+    .get();
+  const now = Date.now();
+
+  for (const docSnap of snap.docs) {
+    const data = docSnap.data();
+    const launchedAt = data.generatedAt?.toMillis?.();
+    if (!data.taskId || !launchedAt || now - launchedAt < RECONCILE_AFTER_MS) continue;
+
+    try {
+      const provider = getMusicProvider(data.musicProvider || 'suno');
+      if (data.musicCallbacks?.complete?.taskId === data.taskId) {
+        if (!(await claimReingest(docSnap.ref, data.taskId))) continue;
+        const task = await provider.getTaskStatus(data.taskId);
+        const variations = await ingestTask(docSnap.ref, data.taskId, task.tracks, { reconciledAt: new Date() });
+        if (variations) console.log(`✅ reconcileMusicTasks: ${docSnap.id} reingestado (${variations.length} variaciones)`);
+        continue;
+      }
+
+      const task = await provider.getTaskStatus(data.taskId);
+
+      if (task.status === 'running' && now - launchedAt < MAX_WAIT_MS) {
+        await extendLease(docSnap.ref);
+        continue;
+      }
+
+      const failed = task.status !== 'complete';
+      const type = failed ? 'error' : 'complete';
+      const message = failed
+        ? `Tarea ${task.status === 'running' ? 'sin terminar tras la espera máxima' : task.status}: ${task.message || ''}`
+        : 'conciliado';
+      // Mismo registro que el callback: si éste llega tarde se ignora
+      if (!(await claimCallback(docSnap.ref, data.taskId, type, failed ? 500 : 200, message))) continue;
+
+      if (failed) {
+        console.warn(`⚠️ reconcileMusicTasks: ${docSnap.id} ${message}`);
+        await completeStage(docSnap.ref, 'Error música', { errorMsg: `${provider.name}: ${message}` });
+        continue;
+      }
+
+      const variations = await ingestTask(docSnap.ref, data.taskId, task.tracks, { reconciledAt: new Date() });
+      if (variations) {
+        console.log(`✅ reconcileMusicTasks: ${docSnap.id} recuperado sin regenerar (${variations.length} variaciones)`);
+      }
+    } catch (err) {
+      console.error(`❌ reconcileMusicTasks (${docSnap.id}):`, err.response?.data || err.message);
+    }
+  }
+}
@@ -0,0 +1,425 @@
+// services/musicaStages.js
+import crypto from 'crypto';
+import os from 'os';
+import { admin, db } from '../firebaseAdmin.js';
+
+const { FieldValue } = admin.firestore;
+
+// Identifica a esta instancia del servidor en los leases
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Etapas del pipeline de 'musica' que un worker puede reclamar.
+ * - working: status que toma el doc mientras la etapa tiene el lease
+ *   (si no hay, conserva su status).
+ * - leaseMs: tiempo tras el cual el lease se considera abandonado y el doc
+ *   vuelve a la etapa para reintentarse.
+ */
+export const STAGES = {
+  'Sin letra':         { leaseMs: 5 * 60_000 },
+  'Enviar letra':      { leaseMs: 5 * 60_000 },
+  'Revisar letra':     { leaseMs: 5 * 60_000 },
+  'Sin prompt':        { leaseMs: 5 * 60_000 },
+  'Sin música':        { working: 'Procesando música', leaseMs: 10 * 60_000 },
+  'Audio listo':       { working: 'Masterizando',      leaseMs: 15 * 60_000 },
+  'Audio masterizado': { working: 'Generando clip',    leaseMs: 15 * 60_000 },
+  'Enviar música':     { leaseMs: 5 * 60_000 }
+};
+
+/** Status final de los pedidos que agotaron sus reintentos. */
+export const DEAD_LETTER_STATUS = 'Error definitivo';
+
+/**
+ * Status de error reintentables: clase de fallo (define el backoff) y etapa
+ * a la que vuelve el doc cuando toca reintentar.
+ */
+export const ERROR_STATUSES = {
+  'Error música':             { failureClass: 'musica',   retryStage: 'Sin música' },
+  // Tarea ya terminada: se repite sólo la ingesta (reconcileMusicTasks)
+  'Error ingesta':            { failureClass: 'descarga', retryStage: 'Procesando música' },
+  'Error descarga full':      { failureClass: 'descarga', retryStage: 'Audio listo' },
+  'Error masterizado':        { failureClass: 'clip',     retryStage: 'Audio listo' },
+  'Error upload master':      { failureClass: 'upload',   retryStage: 'Audio listo' },
+  'Error clip':               { failureClass: 'clip',     retryStage: 'Audio masterizado' },
+  'Error watermark descarga': { failureClass: 'descarga', retryStage: 'Audio masterizado' },
+  'Error watermark':          { failureClass: 'clip',     retryStage: 'Audio masterizado' },
+  'Error upload clip':        { failureClass: 'upload',   retryStage: 'Audio masterizado' }
+};
+
+/** Backoff exponencial por clase de fallo: base · 2^(n-1), con tope. */
+const BACKOFF = {
+  musica:      { baseMs: 10 * 60_000, maxMs: 4 * 60 * 60_000 },
+  descarga:    { baseMs: 2 * 60_000,  maxMs: 60 * 60_000 },
+  clip:        { baseMs: 5 * 60_000,  maxMs: 2 * 60 * 60_000 },
+  upload:      { baseMs: 2 * 60_000,  maxMs: 60 * 60_000 },
+  timeout:     { baseMs: 5 * 60_000,  maxMs: 2 * 60 * 60_000 },
+  transitorio: { baseMs: 60_000,      maxMs: 30 * 60_000 }
+};
+
+// Fallos permitidos por etapa antes de mandar el pedido a DEAD_LETTER_STATUS
+const MAX_ATTEMPTS = Number(process.env.MUSICA_MAX_ATTEMPTS) || 5;
+
+/**
+ * Transiciones permitidas: status actual → status siguientes.
+ * 'Letra por aprobar' espera al lead (ver services/lyricsApproval.js): sólo
+ * una letra aprobada pasa a 'Sin prompt' y de ahí a Suno.
+ */
+export const TRANSITIONS = {
+  'Sin letra':         ['Enviar letra'],
+  'Enviar letra':      ['Letra por aprobar', 'Error envío letra'],
+  // Mensajes fallidos en el outbox: se reanuda con retryFailedGroup()
+  'Error envío letra': ['Enviar letra'],
+  'Letra por aprobar': ['Sin prompt', 'Revisar letra'],
+  'Revisar letra':     ['Enviar letra'],
+  'Sin prompt':        ['Sin música'],
+  'Sin música':        ['Procesando música'],
+  'Procesando música': ['Audio listo', 'Error música', 'Error ingesta'],
+  'Audio listo':       ['Masterizando'],
+  'Masterizando':      ['Audio masterizado', 'Error descarga full', 'Error masterizado',
+                        'Error upload master'],
+  'Audio masterizado': ['Generando clip'],
+  'Generando clip':    ['Enviar música', 'Error descarga full', 'Error clip',
+                        'Error watermark descarga', 'Error watermark', 'Error upload clip'],
+  'Enviar música':     ['Enviada', 'Error envío'],
+  // Mensajes fallidos en el outbox: se reanuda con retryFailedGroup()
+  'Error envío':       ['Enviar música'],
+  ...Object.fromEntries(Object.entries(ERROR_STATUSES)
+    .map(([status, { retryStage }]) => [status, [retryStage]]))
+};
+
+function backoffMs(failureClass, n) {
+  const { baseMs, maxMs } = BACKOFF[failureClass] || BACKOFF.transitorio;
+  return Math.min(baseMs * 2 ** (n - 1), maxMs);
+}
+
+/**
+ * Campos a escribir cuando un doc falla: incrementa los contadores, añade el
+ * error a `errorHistory` y programa `retryAt`. El presupuesto de intentos es
+ * por etapa (`stageFailures`, la etapa que se reintentará): si se agota, el
+ * status pasa a DEAD_LETTER_STATUS.
+ * @param {Object} data - Datos actuales del doc.
+ * @param {Object} failure - { status, failureClass, message }
+ */
+function failureFields(data, { status, failureClass, message }) {
+  const stage        = ERROR_STATUSES[status]?.retryStage || status;
+  const stageCount   = (data.stageFailures?.[stage] || 0) + 1;
+  const failureCount = (data.failureCount || 0) + 1;
+  const classCount   = (data.failures?.[failureClass] || 0) + 1;
+  const fields = {
+    failureCount,
+    failures:      { ...(data.failures || {}), [failureClass]: classCount },
+    stageFailures: { ...(data.stageFailures || {}), [stage]: stageCount },
+    errorHistory:  FieldValue.arrayUnion({
+      status, failureClass, message: message || status, at: new Date(), attempt: stageCount
+    })
+  };
+
+  if (stageCount >= MAX_ATTEMPTS) {
+    fields.status = DEAD_LETTER_STATUS;
+    fields.deadLetteredAt = new Date();
+    fields.retryAt = FieldValue.delete();
+  } else {
+    fields.status = status;
+    fields.retryAt = new Date(Date.now() + backoffMs(failureClass, classCount));
+  }
+  return fields;
+}
+
+/** true si el doc tiene un reintento programado que aún no vence. */
+function waitingRetry(data) {
+  return data.retryAt && data.retryAt.toMillis() > Date.now();
+}
+
+/** Entrada para `stageHistory`. */
+function historyEntry(stage, event, extra = {}) {
+  return { stage, event, at: new Date(), owner: OWNER, ...extra };
+}
+
+/**
+ * Campos que registran el intento del lease vigente (`stageAttempts` y la
+ * entrada 'claimed' de `stageHistory`). Sólo se escriben cuando el intento
+ * tiene un resultado: un doc que se libera sin avanzar ni fallar no deja rastro.
+ * @returns {{ stageAttempts?: Object, claimedEntry?: Object }}
+ */
+function attemptFields(data) {
+  const lease = data.lease;
+  if (!lease?.attempt) return {};
+  return {
+    stageAttempts: { ...(data.stageAttempts || {}), [lease.stage]: lease.attempt },
+    claimedEntry:  historyEntry(lease.stage, 'claimed', {
+      attempt: lease.attempt, at: lease.claimedAt, owner: lease.owner
+    })
+  };
+}
+
+/**
+ * Reclama hasta `limit` docs en la etapa `stage` con una transacción:
+ * fija un lease con expiración (con el número de intento) y mueve el doc a
+ * su status de trabajo. `stageAttempts[stage]` y `stageHistory` se
+ * actualizan al completar o fallar, no al reclamar.
+ * @param {string} stage - Status de entrada de la etapa ('Sin letra', …).
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=1]
+ * @param {Function} [opts.filter] - (data) => boolean, descarta docs que aún no tocan.
+ * @returns {Promise<Array<{ id, ref, data, leaseId, attempt }>>}
+ */
+export async function claimStage(stage, { limit = 1, filter } = {}) {
+  const def = STAGES[stage];
+  if (!def) throw new Error(`Etapa desconocida: ${stage}`);
+
+  // Paginamos hasta reunir `limit` docs: los que esperan un reintento,
+  // no pasan el filtro o ya reclamó otra instancia no deben tapar al resto
+  const pageSize = limit * 5;
+  const claimed = [];
+  let last = null;
+  while (claimed.length < limit) {
+    let query = db.collection('musica').where('status', '==', stage).limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snap = await query.get();
+    if (snap.empty) break;
+    last = snap.docs[snap.docs.length - 1];
+
+    for (const docSnap of snap.docs) {
+      if (claimed.length >= limit) break;
+      const job = await tryClaim(docSnap, stage, def, filter);
+      if (job) claimed.push(job);
+    }
+    if (snap.size < pageSize) break;
+  }
+  return claimed;
+}
+
+/** Intenta reclamar un doc de la etapa; null si no toca o ya lo tiene otro. */
+async function tryClaim(docSnap, stage, def, filter) {
+  if (waitingRetry(docSnap.data())) return null;
+  if (filter && !filter(docSnap.data())) return null;
+
+  return db.runTransaction(async tx => {
+    const fresh = await tx.get(docSnap.ref);
+    const data = fresh.data();
+    if (!data || data.status !== stage) return null;
+    if (data.lease && data.lease.expiresAt.toMillis() > Date.now()) return null;
+    if (waitingRetry(data)) return null;
+
+    const attempt = (data.stageAttempts?.[stage] || 0) + 1;
+    const leaseId = crypto.randomUUID();
+    const now = new Date();
+    tx.update(docSnap.ref, {
+      status:    def.working || stage,
+      lease:     {
+        id: leaseId, owner: OWNER, stage, attempt,
+        claimedAt: now,
+        expiresAt: new Date(now.getTime() + def.leaseMs)
+      },
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    return { id: docSnap.id, ref: docSnap.ref, data, leaseId, attempt };
+  });
+}
+
+/**
+ * Mueve un doc a `toStatus` validando la transición y libera su lease.
+ * Si `toStatus` es un status de error, cuenta el fallo y programa el
+ * reintento (o manda el pedido a DEAD_LETTER_STATUS).
+ * @param {Object} target - Job devuelto por claimStage, o un DocumentReference
+ *   (p.ej. desde el callback de Suno, que no tiene lease propio).
+ * @param {string} toStatus
+ * @param {Object} [fields] - Campos extra a guardar en el doc.
+ */
+export async function completeStage(target, toStatus, fields = {}) {
+  const ref = target.leaseId ? target.ref : target;
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    const data = snap.data();
+    if (!data) throw new Error(`Doc musica/${ref.id} no existe`);
+    if (target.leaseId && data.lease?.id !== target.leaseId) {
+      throw new Error(`Lease perdido para musica/${ref.id}`);
+    }
+    if (!(TRANSITIONS[data.status] || []).includes(toStatus)) {
+      throw new Error(`Transición inválida ${data.status} → ${toStatus} (musica/${ref.id})`);
+    }
+
+    const error = ERROR_STATUSES[toStatus];
+    const statusFields = error
+      ? failureFields(data, {
+          status:       toStatus,
+          failureClass: error.failureClass,
+          message:      fields.errorMsg
+        })
+      : { status: toStatus, retryAt: FieldValue.delete() };
+    const { claimedEntry, ...attempts } = attemptFields(data);
+
+    tx.update(ref, {
+      ...fields,
+      ...statusFields,
+      ...attempts,
+      lease:        FieldValue.delete(),
+      stageHistory: FieldValue.arrayUnion(...[claimedEntry, historyEntry(statusFields.status, 'entered', {
+        from: data.status,
+        ...(fields.errorMsg ? { error: fields.errorMsg } : {})
+      })].filter(Boolean)),
+      updatedAt:    FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * Devuelve un doc reclamado a su etapa sin avanzar. Con `err` (error
+ * recuperable) cuenta como fallo y se reintenta con backoff; sin él
+ * (aún no le toca) vuelve a estar disponible en el siguiente tick sin
+ * contar el intento ni escribir en `stageHistory`.
+ */
+export async function releaseStage(job, err) {
+  await db.runTransaction(async tx => {
+    const snap = await tx.get(job.ref);
+    const data = snap.data();
+    if (!data || data.lease?.id !== job.leaseId) return;
+    if (!err) {
+      tx.update(job.ref, { status: data.lease.stage, lease: FieldValue.delete() });
+      return;
+    }
+    const statusFields = failureFields(data, {
+      status: data.lease.stage, failureClass: 'transitorio', message: err.message
+    });
+    const { claimedEntry, ...attempts } = attemptFields(data);
+    tx.update(job.ref, {
+      ...statusFields,
+      ...attempts,
+      lease:        FieldValue.delete(),
+      stageHistory: FieldValue.arrayUnion(...[claimedEntry,
+        historyEntry(statusFields.status, 'released', { error: err.message })].filter(Boolean)),
+      updatedAt:    FieldValue.serverTimestamp()
+    });
+  });
+}
+
+/**
+ * Recupera los docs cuyo lease expiró (worker caído a media etapa)
+ * devolviéndolos al inicio de su etapa; los que esperan un callback con la
+ * tarea ya lanzada los resuelve reconcileMusicTasks(). Cuenta
+ * como fallo 'timeout', así que un pedido que expira una y otra vez acaba
+ * en DEAD_LETTER_STATUS en lugar de regenerarse sin fin.
+ */
+export async function recoverExpiredLeases() {
+  const snap = await db.collection('musica')
+    .where('lease.expiresAt', '<=', new Date())
+    .get();
+  if (snap.empty) return;
+
+  console.log(`🔄 recoverExpiredLeases: ${snap.size} leases expirados`);
+  for (const docSnap of snap.docs) {
+    try {
+      const stage = await db.runTransaction(async tx => {
+        const fresh = await tx.get(docSnap.ref);
+        const lease = fresh.data()?.lease;
+        if (!lease || lease.expiresAt.toMillis() > Date.now()) return null;
+        // Con la tarea ya lanzada decide reconcileMusicTasks() (consulta al
+        // proveedor) para no pagar otra canción si la primera sí terminó
+        if (fresh.data().status === 'Procesando música' && fresh.data().taskId) return null;
+        const statusFields = failureFields(fresh.data(), {
+          status:       lease.stage,
+          failureClass: 'timeout',
+          message:      `Lease expirado en '${fresh.data().status}'`
+        });
+        const { claimedEntry, ...attempts } = attemptFields(fresh.data());
+        tx.update(docSnap.ref, {
+          ...statusFields,
+          ...attempts,
+          lease:        FieldValue.delete(),
+          stageHistory: FieldValue.arrayUnion(...[claimedEntry, historyEntry(statusFields.status, 'lease_expired', {
+            from: fresh.data().status,
+            leaseOwner: lease.owner
+          })].filter(Boolean)),
+          updatedAt:    FieldValue.serverTimestamp()
+        });
+        return statusFields.status;
+      });
+      if (stage) console.log(`  ✅ ${docSnap.id} → status '${stage}'`);
+    } catch (err) {
+      console.error(`  ❌ no pude recuperar ${docSnap.id}:`, err);
+    }
+  }
+}
+
+/**
+ * Alarga el lease vigente del doc otra vez el `leaseMs` de su etapa
+ * (p.ej. mientras el proveedor sigue generando la música).
+ * @returns {Promise<boolean>} false si el doc ya no tiene lease.
+ */
+export async function extendLease(ref) {
+  return db.runTransaction(async tx => {
+    const lease = (await tx.get(ref)).data()?.lease;
+    if (!lease) return false;
+    tx.update(ref, {
+      'lease.expiresAt': new Date(Date.now() + STAGES[lease.stage].leaseMs)
+    });
+    return true;
+  });
+}
+
+/**
+ * Devuelve a su etapa los docs en un status de error cuyo `retryAt` ya venció.
+ * Los errores anteriores a los reintentos (sin `retryAt`) sólo se reencolan a mano.
+ */
+export async function retryFailedMusic() {
+  const snap = await db.collection('musica')
+    .where('status', 'in', Object.keys(ERROR_STATUSES))
+    .get();
+  const due = snap.docs.filter(d => d.data().retryAt && !waitingRetry(d.data()));
+  if (!due.length) return;
+
+  console.log(`🔁 retryFailedMusic: reintentando ${due.length} pedidos`);
+  for (const docSnap of due) {
+    try {
+      const stage = await db.runTransaction(async tx => {
+        const data = (await tx.get(docSnap.ref)).data();
+        const error = ERROR_STATUSES[data?.status];
+        if (!error || !data.retryAt || waitingRetry(data)) return null;
+        tx.update(docSnap.ref, {
+          status:       error.retryStage,
+          retryAt:      FieldValue.delete(),
+          stageHistory: FieldValue.arrayUnion(historyEntry(error.retryStage, 'retry', {
+            from: data.status,
+            attempt: data.stageFailures?.[error.retryStage] || 0
+          })),
+          updatedAt:    FieldValue.serverTimestamp()
+        });
+        return error.retryStage;
+      });
+      if (stage) console.log(`  ✅ ${docSnap.id} → status '${stage}'`);
+    } catch (err) {
+      console.error(`  ❌ no pude reintentar ${docSnap.id}:`, err);
+    }
+  }
+}
+
+/**
+ * Reencola manualmente un pedido en error o en DEAD_LETTER_STATUS desde la
+ * etapa indicada, reiniciando su presupuesto de intentos. Conserva
+ * `errorHistory` y `stageHistory`.
+ * @returns {Promise<string>} status anterior del doc.
+ */
+export async function requeueMusica(musicaId, stage) {
+  if (!STAGES[stage]) throw new Error(`Etapa inválida: ${stage}`);
+  const ref = db.collection('musica').doc(musicaId);
+
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw new Error(`Doc musica/${musicaId} no existe`);
+    const { status } = snap.data();
+    if (status !== DEAD_LETTER_STATUS && !ERROR_STATUSES[status]) {
+      throw new Error(`El pedido está en '${status}', sólo se reencolan pedidos en error`);
+    }
+    tx.update(ref, {
+      status:        stage,
+      failureCount:  0,
+      failures:      {},
+      stageFailures: {},
+      retryAt:       FieldValue.delete(),
+      lease:         FieldValue.delete(),
+      stageHistory:  FieldValue.arrayUnion(historyEntry(stage, 'requeued', { from: status })),
+      updatedAt:     FieldValue.serverTimestamp()
+    });
+    return status;
+  });
+}
@@ -0,0 +1,245 @@
+// services/outbox.js
+//
+// Outbox durable para envíos de varios mensajes. Cada mensaje se escribe
+// primero en 'outbox' con una clave de idempotencia determinista
+// (p.ej. `letra:<id>:saludo`); processOutbox() los entrega en orden dentro
+// de su grupo y marca cada uno como 'sent' con su wamid. Los pipelines sólo
+// avanzan su status cuando getGroupStatus() confirma el grupo completo.
+//
+// Un mensaje que whatsappService deja en cola por ventana de 24h cerrada
+// queda 'queued' (no cuenta como enviado) hasta que flushPendingMessages()
+// lo entrega. Los que agotan sus intentos quedan 'failed' y el pedido dueño
+// del grupo pasa a un status de error; retryFailedGroup() los reintenta.
+//
+// Entre marcar 'sending' y llamar a la API hay un lease: si el proceso muere
+// justo en ese intervalo el mensaje se reintenta al expirar (at-least-once
+// sólo en esa ventana; el resto del lote nunca se reenvía).
+import { admin, db } from '../firebaseAdmin.js';
+import { completeStage } from './musicaStages.js';
+import {
+  sendTextMessage,
+  sendAudioMessage,
+  sendVideoMessage,
+  sendDocumentMessage,
+  sendTemplateMessage,
+  sendInteractiveButtons,
+  sendInteractiveList
+} from '../whatsappService.js';
+
+const { FieldValue } = admin.firestore;
+
+const LEASE_MS = 2 * 60_000;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Encola los mensajes de un grupo. Las claves ya existentes se ignoran,
+ * así que llamar dos veces con el mismo grupo no duplica envíos.
+ * @param {string} group - Id del lote (p.ej. `letra:<letraId>`).
+ * @param {Array<{ step: string, message: Object }>} items - En orden de envío.
+ *   message: { type: 'text'|'audio'|'video'|'document'|'template'|'buttons'|'list', ... }
+ *   (audio: { media, voice? } — voice: true lo envía como nota de voz OGG/Opus)
+ * @param {{ leadId: string, phone: string }} target
+ */
+export async function enqueueOutbox(group, items, { leadId, phone }) {
+  for (const [seq, item] of items.entries()) {
+    const key = `${group}:${item.step}`;
+    try {
+      await db.collection('outbox').doc(key).create({
+        key,
+        group,
+        seq,
+        leadId,
+        phone,
+        message:   item.message,
+        status:    'pending',
+        attempts:  0,
+        createdAt: new Date()
+      });
+    } catch (err) {
+      if (err.code !== 6) throw err; // ALREADY_EXISTS: ya estaba encolado
+    }
+  }
+}
+
+/**
+ * Resumen del grupo: { total, sent, queued, failed, pending }.
+ * total === 0 significa que aún no se encoló; `queued` son mensajes en
+ * espera de que el lead reabra la ventana de 24h (aún no entregados).
+ */
+export async function getGroupStatus(group) {
+  const snap = await db.collection('outbox').where('group', '==', group).get();
+  const summary = { total: snap.size, sent: 0, queued: 0, failed: 0, pending: 0 };
+  for (const doc of snap.docs) {
+    const { status } = doc.data();
+    if (status === 'sent') summary.sent++;
+    else if (status === 'queued') summary.queued++;
+    else if (status === 'failed') summary.failed++;
+    else summary.pending++;
+  }
+  return summary;
+}
+
+/**
+ * Devuelve a su etapa de envío el pedido dueño del grupo, si quedó en error
+ * por mensajes fallidos (ver retryFailedGroup).
+ */
+async function resumeGroupOwner(group) {
+  const [kind, id] = group.split(':');
+  if (kind === 'musica') {
+    const ref = db.collection('musica').doc(id);
+    if ((await ref.get()).data()?.status === 'Error envío') await completeStage(ref, 'Enviar música');
+  } else if (kind === 'musicaLetra') {
+    const ref = db.collection('musica').doc(id);
+    if ((await ref.get()).data()?.status === 'Error envío letra') await completeStage(ref, 'Enviar letra');
+  } else if (kind === 'letra') {
+    const ref = db.collection('letras').doc(id);
+    if ((await ref.get()).data()?.status === 'errorEnvio') await ref.update({ status: 'enviarLetra' });
+  } else if (kind === 'entrega') {
+    const ref = db.collection('musica').doc(id);
+    if ((await ref.get()).data()?.fullDeliveryStatus === 'error') {
+      await ref.update({ fullDeliveryStatus: 'enviando' });
+    }
+  }
+}
+
+/**
+ * Reintenta los mensajes 'failed' de un grupo (vuelven a 'pending' con los
+ * intentos a cero) y reanuda el pedido dueño del grupo.
+ * @returns {Promise<number>} mensajes reencolados.
+ */
+export async function retryFailedGroup(group) {
+  const snap = await db.collection('outbox')
+    .where('group', '==', group)
+    .where('status', '==', 'failed')
+    .get();
+  if (snap.empty) return 0;
+
+  const batch = db.batch();
+  for (const doc of snap.docs) {
+    batch.update(doc.ref, {
+      status:        'pending',
+      attempts:      0,
+      nextAttemptAt: FieldValue.delete(),
+      retriedAt:     new Date()
+    });
+  }
+  await batch.commit();
+  await resumeGroupOwner(group);
+  console.log(`🔁 outbox: ${snap.size} mensajes de ${group} reencolados`);
+  return snap.size;
+}
+
+/**
+ * Marca como 'sent' los mensajes 'queued' que flushPendingMessages() ya
+ * entregó (su mensaje en el chat dejó de estar en cola).
+ */
+async function settleQueued() {
+  const snap = await db.collection('outbox').where('status', '==', 'queued').limit(200).get();
+  for (const doc of snap.docs) {
+    const { leadId, messageId } = doc.data();
+    if (!messageId) continue;
+    const msg = (await db.collection('leads').doc(leadId).collection('messages').doc(messageId).get()).data();
+    if (!msg || msg.status === 'queued') continue;
+    await doc.ref.update({ status: 'sent', wamid: msg.wamid || null, sentAt: new Date() });
+  }
+}
+
+/** Envía un mensaje del outbox con la función de whatsappService que le toca. */
+function deliver(phone, message) {
+  switch (message.type) {
+    case 'text':     return sendTextMessage(phone, message.content);
+    case 'audio':    return sendAudioMessage(phone, message.media, { voice: message.voice });
+    case 'video':    return sendVideoMessage(phone, message.media);
+    case 'document': return sendDocumentMessage(phone, message.media);
+    case 'template': return sendTemplateMessage({ to: phone, ...message.template });
+    case 'buttons':
+      return sendInteractiveButtons(phone, message.content, message.buttons, message.options);
+    case 'list':
+      return sendInteractiveList(phone, message.content, message.buttonText, message.sections, message.options);
+    default: throw new Error(`Tipo de mensaje de outbox desconocido: ${message.type}`);
+  }
+}
+
+/** Reclama una entrada (pending o sending con lease vencido). */
+async function claimEntry(ref) {
+  return db.runTransaction(async tx => {
+    const data = (await tx.get(ref)).data();
+    if (!data) return null;
+    const now = Date.now();
+    if (data.status === 'sending' && data.leaseExpiresAt?.toMillis() > now) return null;
+    if (!['pending', 'sending'].includes(data.status)) return null;
+    if (data.nextAttemptAt && data.nextAttemptAt.toMillis() > now) return null;
+
+    tx.update(ref, {
+      status:         'sending',
+      attempts:       (data.attempts || 0) + 1,
+      leaseExpiresAt: new Date(now + LEASE_MS)
+    });
+    return { ...data, attempts: (data.attempts || 0) + 1 };
+  });
+}
+
+/**
+ * Entrega los mensajes pendientes del outbox, en orden dentro de cada grupo.
+ * Si un mensaje falla, el resto de su grupo espera (se reintenta con backoff
+ * hasta MAX_ATTEMPTS y luego queda 'failed', y el grupo se detiene hasta
+ * retryFailedGroup()).
+ * El lote se lee por antigüedad y `seq`: si el límite corta un grupo, quedan
+ * fuera sus últimos mensajes, nunca los primeros.
+ */
+export async function processOutbox() {
+  await settleQueued();
+
+  const snap = await db.collection('outbox')
+    .where('status', 'in', ['pending', 'sending'])
+    .orderBy('createdAt')
+    .orderBy('seq')
+    .limit(200)
+    .get();
+  if (snap.empty) return;
+
+  const groups = new Map();
+  for (const doc of snap.docs) {
+    const g = doc.data().group;
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(doc);
+  }
+
+  for (const [group, docs] of groups) {
+    docs.sort((a, b) => a.data().seq - b.data().seq);
+    // Un mensaje anterior quedó 'failed': el resto no se adelanta
+    if (docs[0].data().seq > 0 && (await getGroupStatus(group)).failed) continue;
+    for (const doc of docs) {
+      const entry = await claimEntry(doc.ref);
+      if (!entry) break; // otro worker lo tiene o espera backoff: respetamos el orden
+
+      try {
+        const result = await deliver(entry.phone, entry.message);
+        await doc.ref.update(result?.queued
+          ? {
+              status:         'queued',
+              messageId:      result.messageId,
+              queuedAt:       new Date(),
+              leaseExpiresAt: FieldValue.delete()
+            }
+          : {
+              status:         'sent',
+              wamid:          result?.wamid || null,
+              sentAt:         new Date(),
+              leaseExpiresAt: FieldValue.delete()
+            });
+      } catch (err) {
+        const failed = entry.attempts >= MAX_ATTEMPTS;
+        console.error(`❌ outbox ${doc.id} intento ${entry.attempts}:`, err.message);
+        await doc.ref.update({
+          status:         failed ? 'failed' : 'pending',
+          lastError:      err.response?.data?.error?.message || err.message,
+          nextAttemptAt:  new Date(Date.now() + 60_000 * 2 ** (entry.attempts - 1)),
+          leaseExpiresAt: FieldValue.delete()
+        });
+        break;
+      }
+    }
+    console.log(`📤 processOutbox: grupo ${group} procesado`);
+  }
+}
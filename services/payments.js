@@ -0,0 +1,212 @@
+// services/payments.js
+//
+// Pagos de los pedidos de música. Cada pago queda en 'payments' enlazado al
+// doc 'musica' y al lead; el pedido guarda `paymentStatus: 'pagado'`, el total
+// cobrado y `fullDeliveryStatus: 'pendiente'` para que deliverPaidSongs()
+// le envíe la canción completa (sin marca de agua) en cuanto esté lista.
+//
+// Los pagos llegan por confirmación manual de un agente o por el webhook
+// genérico de proveedores (POST /api/payments/webhook/:provider).
+import { admin, db } from '../firebaseAdmin.js';
+import { stopSequencesOnPayment } from './sequences.js';
+import { enqueueOutbox, getGroupStatus } from './outbox.js';
+
+const { FieldValue } = admin.firestore;
+
+/** Etiqueta que identifica a los leads que ya pagaron. */
+export const PAID_TAG = 'Pagado';
+
+// Vigencia del enlace de descarga de la canción completa
+const DOWNLOAD_LINK_MS = 7 * 24 * 60 * 60_000;
+
+/**
+ * Registra un pago confirmado. Con `provider` + `reference` el registro es
+ * idempotente: un webhook repetido devuelve el pago existente.
+ * @param {Object} p
+ * @param {string} [p.musicaId] - Pedido pagado (opcional si sólo se conoce el lead).
+ * @param {string} [p.leadId]
+ * @param {number} p.amount
+ * @param {string} [p.currency='MXN']
+ * @param {string} [p.method] - 'transferencia' | 'tarjeta' | 'efectivo' | …
+ * @param {string} [p.provider='manual']
+ * @param {string} [p.reference] - Id de la operación en el proveedor/banco.
+ * @param {string} [p.agentId] - Agente que confirmó el pago manual.
+ * @returns {Promise<{ paymentId: string, duplicate: boolean }>}
+ */
+export async function recordPayment({
+  musicaId, leadId, amount, currency = 'MXN', method = null,
+  provider = 'manual', reference = null, agentId = null, raw = null
+}) {
+  if (!(Number(amount) > 0)) throw new Error('amount inválido');
+
+  let musicaRef = null;
+  if (musicaId) {
+    musicaRef = db.collection('musica').doc(musicaId);
+    const musicaSnap = await musicaRef.get();
+    if (!musicaSnap.exists) throw new Error(`Pedido musica/${musicaId} no existe`);
+    leadId = leadId || musicaSnap.data().leadId;
+  }
+  if (!leadId) throw new Error('Falta musicaId o leadId');
+
+  const payment = {
+    musicaId:    musicaId || null,
+    leadId,
+    amount:      Number(amount),
+    currency,
+    method,
+    provider,
+    reference,
+    status:      'confirmado',
+    confirmedBy: agentId || provider,
+    createdAt:   new Date(),
+    ...(raw ? { raw } : {})
+  };
+
+  const paymentRef = reference
+    ? db.collection('payments').doc(`${provider}_${reference}`.replace(/\//g, '_'))
+    : db.collection('payments').doc();
+  try {
+    await paymentRef.create(payment);
+  } catch (err) {
+    if (err.code === 6) return { paymentId: paymentRef.id, duplicate: true }; // ALREADY_EXISTS
+    throw err;
+  }
+
+  if (musicaRef) {
+    await musicaRef.update({
+      paymentStatus:      'pagado',
+      amountPaid:         FieldValue.increment(payment.amount),
+      paidAt:             new Date(),
+      paymentIds:         FieldValue.arrayUnion(paymentRef.id),
+      fullDeliveryStatus: 'pendiente'
+    });
+  }
+  await db.collection('leads').doc(leadId).update({
+    etiquetas: FieldValue.arrayUnion(PAID_TAG),
+    lastPaymentAt: new Date()
+  });
+  await stopSequencesOnPayment(leadId);
+  await db.collection('leads').doc(leadId).collection('messages').add({
+    content:   `Pago registrado: ${payment.amount} ${currency} (${method || provider})`,
+    paymentId: paymentRef.id,
+    sender:    'system',
+    timestamp: new Date()
+  });
+
+  console.log(`💰 pago ${paymentRef.id} registrado para ${musicaId ? `musica/${musicaId}` : `lead ${leadId}`}`);
+  return { paymentId: paymentRef.id, duplicate: false };
+}
+
+/**
+ * Proveedores del webhook de pagos: cada uno traduce su payload a
+ * { paid, reference, amount, currency, musicaId, leadId, method }.
+ * - generic: { event: 'payment.succeeded', reference, amount, currency,
+ *              metadata: { musicaId, leadId } }
+ * - stub: mismo formato, sólo si PAYMENT_STUB_ENABLED=true (pruebas locales).
+ */
+const PROVIDERS = {
+  generic: body => ({
+    paid:      body.event === 'payment.succeeded',
+    reference: body.reference || body.id,
+    amount:    body.amount,
+    currency:  body.currency || 'MXN',
+    musicaId:  body.metadata?.musicaId,
+    leadId:    body.metadata?.leadId,
+    method:    body.method || 'tarjeta'
+  })
+};
+PROVIDERS.stub = PROVIDERS.generic;
+
+/** true si el proveedor existe (y, para 'stub', si está habilitado). */
+export function isKnownProvider(provider) {
+  if (provider === 'stub') return process.env.PAYMENT_STUB_ENABLED === 'true';
+  return Object.hasOwn(PROVIDERS, provider);
+}
+
+/**
+ * Procesa una notificación del webhook de pagos.
+ * @returns {Promise<Object>} { ignored: true } si no es un pago completado.
+ */
+export async function handlePaymentWebhook(provider, body) {
+  const parsed = PROVIDERS[provider](body);
+  if (!parsed.paid) return { ignored: true };
+  if (!parsed.reference) throw new Error('Falta la referencia del pago');
+
+  const { paid, ...payment } = parsed;
+  return recordPayment({ ...payment, provider, raw: body });
+}
+
+/** Ruta en Storage de la canción completa del pedido (variación elegida, masterizada si se pudo). */
+export function getFullSongPath(data) {
+  const variation = data.variations?.[data.selectedVariation ?? 0];
+  return variation?.masteredPath || variation?.fullPath || data.fullPath || null;
+}
+
+/** Genera un enlace de descarga nuevo para la canción completa. */
+export async function createDownloadLink(data) {
+  const fullPath = getFullSongPath(data);
+  if (!fullPath) return null;
+  const expiresAt = new Date(Date.now() + DOWNLOAD_LINK_MS);
+  const [url] = await admin.storage().bucket().file(fullPath)
+    .getSignedUrl({ action: 'read', expires: expiresAt, responseDisposition: 'attachment' });
+  return { url, expiresAt };
+}
+
+/**
+ * Entrega la canción completa de los pedidos pagados: en cuanto el audio
+ * está listo encola agradecimiento, canción y enlace de descarga en el
+ * outbox; en ticks siguientes confirma la entrega.
+ */
+export async function deliverPaidSongs() {
+  // 1) Confirmar entregas en curso
+  const sending = await db.collection('musica')
+    .where('fullDeliveryStatus', '==', 'enviando')
+    .get();
+  for (const doc of sending.docs) {
+    const outbox = await getGroupStatus(`entrega:${doc.id}`);
+    if (outbox.failed) {
+      await doc.ref.update({ fullDeliveryStatus: 'error' });
+      // Se reanuda con retryFailedGroup(`entrega:<id>`)
+      console.error(`❌ deliverPaidSongs: falló la entrega de ${doc.id}`);
+    } else if (outbox.total && outbox.sent === outbox.total) {
+      await doc.ref.update({ fullDeliveryStatus: 'enviada', fullDeliveredAt: new Date() });
+      console.log(`✅ deliverPaidSongs: canción completa entregada (${doc.id})`);
+    }
+  }
+
+  // 2) Encolar las nuevas
+  const pending = await db.collection('musica')
+    .where('fullDeliveryStatus', '==', 'pendiente')
+    .get();
+  for (const doc of pending.docs) {
+    const data = doc.data();
+    const phone = (data.leadPhone || '').replace(/\D/g, '');
+    // La canción aún no existe: se entrega cuando Suno termine
+    if (!getFullSongPath(data) || !phone) continue;
+    // Con varias versiones se espera a que el lead (o un agente) elija una
+    if (data.variations?.length > 1 && data.selectedVariation == null) continue;
+
+    try {
+      const link = await createDownloadLink(data);
+      const leadSnap = await db.collection('leads').doc(data.leadId).get();
+      const nombre = ((leadSnap.data()?.nombre) || '').split(' ')[0];
+
+      await enqueueOutbox(`entrega:${doc.id}`, [
+        { step: 'gracias', message: { type: 'text', content:
+          `¡Gracias por tu pago${nombre ? `, ${nombre}` : ''}! 🎉 Aquí está tu canción completa:` } },
+        { step: 'cancion', message: { type: 'audio', media: link.url } },
+        { step: 'descarga', message: { type: 'text', content:
+          `Puedes descargarla aquí (el enlace vence en 7 días):\n${link.url}` } }
+      ], { leadId: data.leadId, phone });
+
+      await doc.ref.update({
+        fullDeliveryStatus:  'enviando',
+        downloadUrl:         link.url,
+        downloadUrlExpiresAt: link.expiresAt
+      });
+      console.log(`📨 deliverPaidSongs: canción completa de ${doc.id} encolada`);
+    } catch (err) {
+      console.error(`❌ deliverPaidSongs (${doc.id}):`, err.message);
+    }
+  }
+}
@@ -0,0 +1,188 @@
+// services/preview.js
+//
+// Clips de muestra (preview) con marca de agua para los pedidos de 'musica'.
+// Parámetros en config/appConfig.preview (y `previewConfig` del pedido para
+// sobrescribirlos):
+//   { lengthSec: 60, start: 0 | 'auto', fadeInSec: 1, fadeOutSec: 3,
+//     watermark: { url, firstAtSec: 1, intervalSec: 20, gainDb: -10 } }
+// Con start 'auto' el clip empieza en la sección de mayor sonoridad
+// (ebur128 de ffmpeg). Los parámetros resueltos se guardan en cada variación
+// (`clipParams`) para poder reproducir el mismo clip.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import ffmpeg from 'fluent-ffmpeg';
+import { db } from '../firebaseAdmin.js';
+
+export const PREVIEW_DEFAULTS = {
+  lengthSec:  60,
+  start:      0,
+  fadeInSec:  1,
+  fadeOutSec: 3,
+  watermark: {
+    url:         'https://cantalab.com/wp-content/uploads/2025/05/marca-de-agua-1-minuto.mp3',
+    firstAtSec:  1,
+    intervalSec: 0,      // 0 = una sola vez
+    gainDb:      -10     // ≈ volumen 0.3
+  }
+};
+
+// Caché local de la marca de agua (una descarga por URL)
+const CACHE_DIR = path.resolve('./cache');
+
+/** Config de preview: defaults ← appConfig.preview ← previewConfig del pedido. */
+export async function getPreviewConfig(data = {}) {
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  const global = (cfgSnap.exists && cfgSnap.data().preview) || {};
+  const own = data.previewConfig || {};
+  return {
+    ...PREVIEW_DEFAULTS,
+    ...global,
+    ...own,
+    watermark: { ...PREVIEW_DEFAULTS.watermark, ...(global.watermark || {}), ...(own.watermark || {}) }
+  };
+}
+
+/**
+ * Ruta local de la marca de agua, descargándola sólo la primera vez.
+ * @returns {Promise<string>}
+ */
+export async function getWatermarkFile(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+  const file = path.join(CACHE_DIR, `watermark-${hash}${path.extname(new URL(url).pathname) || '.mp3'}`);
+  if (fs.existsSync(file)) return file;
+
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const res = await axios.get(url, { responseType: 'stream' });
+  await new Promise((resolve, reject) => {
+    const ws = fs.createWriteStream(tmp);
+    res.data.pipe(ws);
+    ws.on('finish', resolve);
+    ws.on('error', reject);
+  });
+  fs.renameSync(tmp, file);
+  console.log(`💧 marca de agua en caché: ${file}`);
+  return file;
+}
+
+/**
+ * Sonoridad a corto plazo (ventanas de 3 s cada 0.1 s) con el filtro ebur128.
+ * @returns {Promise<Array<{ t: number, s: number }>>}
+ */
+function loudnessCurve(file) {
+  const points = [];
+  return new Promise((resolve, reject) => {
+    ffmpeg(file)
+      .audioFilters('ebur128')
+      .format('null')
+      .output('-')
+      .on('stderr', line => {
+        const m = line.match(/t:\s*([\d.]+).*?\bS:\s*(-?[\d.]+)/);
+        if (m) points.push({ t: Number(m[1]), s: Number(m[2]) });
+      })
+      .on('end', () => resolve(points))
+      .on('error', reject)
+      .run();
+  });
+}
+
+/**
+ * Inicio (en segundos) de la ventana de `lengthSec` con mayor sonoridad
+ * media: suele coincidir con el coro.
+ * @returns {Promise<{ startSec: number, durationSec: number }>}
+ */
+export async function findEnergeticStart(file, lengthSec) {
+  const curve = await loudnessCurve(file);
+  const durationSec = curve.length ? curve[curve.length - 1].t : 0;
+  if (durationSec <= lengthSec) return { startSec: 0, durationSec };
+
+  // Media móvil sobre una ventana de lengthSec (puntos cada 0.1 s)
+  const win = Math.round(lengthSec * 10);
+  const values = curve.map(p => Math.max(p.s, -70));   // silencio = -inf
+  let sum = values.slice(0, win).reduce((a, b) => a + b, 0);
+  let best = { sum, i: 0 };
+  for (let i = 1; i + win <= values.length; i++) {
+    sum += values[i + win - 1] - values[i - 1];
+    if (sum > best.sum) best = { sum, i };
+  }
+  // El punto i mide los 3 s previos a t: arrancamos un poco antes
+  const startSec = Math.max(0, Math.min(curve[best.i].t - 3, durationSec - lengthSec));
+  return { startSec: Math.round(startSec * 10) / 10, durationSec };
+}
+
+/** Segundos en los que suena la marca de agua dentro del clip. */
+function watermarkTimes({ firstAtSec, intervalSec }, lengthSec) {
+  const times = [];
+  for (let t = firstAtSec; t < lengthSec; t += intervalSec) {
+    times.push(t);
+    if (!(intervalSec > 0)) break;
+  }
+  return times;
+}
+
+/**
+ * Renderiza el clip: recorte, fades y la marca de agua repetida, en una sola
+ * pasada de ffmpeg. Devuelve los parámetros usados (para `clipParams`).
+ * @param {string} src - Audio completo local.
+ * @param {string} dest - Clip de salida (.mp3).
+ * @param {Object} cfg - Resultado de getPreviewConfig().
+ * @param {string} watermarkFile - Ver getWatermarkFile().
+ */
+export async function renderPreview(src, dest, cfg, watermarkFile) {
+  const lengthSec = Number(cfg.lengthSec) || PREVIEW_DEFAULTS.lengthSec;
+  // `startSec` fijo (p.ej. de un clip anterior) evita repetir la detección
+  const startSec = cfg.startSec ?? (cfg.start === 'auto'
+    ? (await findEnergeticStart(src, lengthSec)).startSec
+    : Number(cfg.start) || 0);
+
+  const times = watermarkTimes(cfg.watermark, lengthSec);
+  const fadeOutAt = Math.max(0, lengthSec - cfg.fadeOutSec);
+  const song = [
+    cfg.fadeInSec > 0 ? `afade=t=in:st=0:d=${cfg.fadeInSec}` : null,
+    cfg.fadeOutSec > 0 ? `afade=t=out:st=${fadeOutAt}:d=${cfg.fadeOutSec}` : null
+  ].filter(Boolean).join(',') || 'anull';
+
+  const filter = [];
+  if (times.length) {
+    // amix divide cada entrada entre el número de entradas activas (el
+    // ffmpeg incluido, 4.1, no tiene `normalize`): compensamos con `volume`
+    // y rellenamos la marca de agua con apad para que ninguna entrada
+    // termine antes que la canción y la escala no cambie a media pista.
+    const inputs = times.length + 1;
+    const makeup = 20 * Math.log10(inputs);
+    const labels = times.map((_, i) => `[w${i}]`).join('');
+    filter.push(`[0]${song},volume=${makeup.toFixed(2)}dB[song]`);
+    filter.push(`[1]volume=${(cfg.watermark.gainDb + makeup).toFixed(2)}dB,asplit=${times.length}${labels}`);
+    times.forEach((t, i) => {
+      const ms = Math.round(t * 1000);
+      filter.push(`[w${i}]adelay=${ms}|${ms},apad[d${i}]`);
+    });
+    filter.push(`[song]${times.map((_, i) => `[d${i}]`).join('')}` +
+      `amix=inputs=${inputs}:duration=first:dropout_transition=0[out]`);
+  } else {
+    filter.push(`[0]${song}[out]`);
+  }
+
+  await new Promise((res, rej) => {
+    const cmd = ffmpeg(src).setStartTime(startSec).setDuration(lengthSec);
+    if (times.length) cmd.input(watermarkFile);
+    cmd
+      .complexFilter(filter.join(';'), 'out')
+      .audioCodec('libmp3lame')
+      .output(dest)
+      .on('end', res)
+      .on('error', rej)
+      .run();
+  });
+
+  return {
+    lengthSec,
+    startSec,
+    auto:       cfg.start === 'auto',
+    fadeInSec:  cfg.fadeInSec,
+    fadeOutSec: cfg.fadeOutSec,
+    watermark:  { ...cfg.watermark, times }
+  };
+}
@@ -0,0 +1,175 @@
+// services/receipts.js
+//
+// Detección de comprobantes de pago: las imágenes y PDF que envía un lead
+// con un pedido abierto se analizan con un proveedor intercambiable
+// (env RECEIPT_PROVIDER: 'openai' por defecto, 'stub' para pruebas, 'none').
+// Si parecen un comprobante se crea un doc en 'paymentReceipts' con status
+// 'pendiente' para que un agente lo apruebe (registra el pago) o lo rechace.
+import { getOpenAI } from '../openaiClient.js';
+import { admin, db } from '../firebaseAdmin.js';
+import { sendTextMessage } from '../whatsappService.js';
+import { recordPayment, PAID_TAG } from './payments.js';
+
+const PROVIDER = process.env.RECEIPT_PROVIDER || 'openai';
+// Confianza mínima para tratar un archivo como comprobante
+const MIN_CONFIDENCE = Number(process.env.RECEIPT_MIN_CONFIDENCE) || 0.6;
+
+const PROMPT = `
+Analiza el archivo y dime si es un comprobante de pago (transferencia, depósito,
+voucher de tarjeta o recibo). Devuelve sólo JSON:
+{"isReceipt": boolean, "confidence": número 0-1, "amount": número|null,
+ "currency": "MXN"|"USD"|null, "date": "YYYY-MM-DD"|null, "reference": string|null,
+ "bank": string|null}
+`.trim();
+
+const providers = {
+  async openai({ mediaType, mediaUrl, storagePath }) {
+    let file;
+    if (mediaType === 'pdf') {
+      // Los PDF van en base64: la API no los descarga por URL
+      const [buf] = await admin.storage().bucket().file(storagePath).download();
+      file = {
+        type: 'file',
+        file: { filename: 'comprobante.pdf', file_data: `data:application/pdf;base64,${buf.toString('base64')}` }
+      };
+    } else {
+      file = { type: 'image_url', image_url: { url: mediaUrl } };
+    }
+
+    const resp = await getOpenAI().createChatCompletion({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: [{ type: 'text', text: PROMPT }, file] }],
+      response_format: { type: 'json_object' },
+      temperature: 0
+    });
+    return JSON.parse(resp.data.choices?.[0]?.message?.content || '{}');
+  },
+  async stub() {
+    return {
+      isReceipt: true, confidence: 0.9, amount: 697, currency: 'MXN',
+      date: new Date().toISOString().slice(0, 10), reference: 'STUB-0001', bank: 'BBVA'
+    };
+  }
+};
+
+/**
+ * Pedido abierto del lead al que se asociaría un pago: el doc 'musica' más
+ * reciente sin pagar o, si no tiene, sus letras (promo de `sendLetras`).
+ * @returns {Promise<{ musicaId: string|null, letraId: string|null }|null>}
+ */
+export async function findOpenOrder(leadId) {
+  const leadSnap = await db.collection('leads').doc(leadId).get();
+  const lead = leadSnap.data() || {};
+  if ((lead.etiquetas || []).includes(PAID_TAG)) return null;
+
+  const snap = await db.collection('musica').where('leadId', '==', leadId).get();
+  const abiertos = snap.docs
+    .filter(d => d.data().paymentStatus !== 'pagado')
+    .sort((a, b) => (b.data().createdAt?.toMillis?.() || 0) - (a.data().createdAt?.toMillis?.() || 0));
+  if (abiertos.length) return { musicaId: abiertos[0].id, letraId: null };
+
+  const letraId = lead.letraIds?.[0];
+  return letraId ? { musicaId: null, letraId } : null;
+}
+
+/**
+ * Analiza una imagen o PDF entrante y, si es un comprobante de un pedido
+ * abierto, lo deja pendiente de verificación.
+ * @param {Object} m - { leadId, msgRef, mediaType, mediaUrl, storagePath }
+ * @returns {Promise<string|null>} id del doc en 'paymentReceipts'.
+ */
+export async function detectReceipt({ leadId, msgRef, mediaType, mediaUrl, storagePath }) {
+  const provider = providers[PROVIDER];
+  if (!provider || !['image', 'pdf'].includes(mediaType)) return null;
+
+  const order = await findOpenOrder(leadId);
+  if (!order) return null;
+
+  const result = await provider({ mediaType, mediaUrl, storagePath });
+  if (!result.isReceipt || (Number(result.confidence) || 0) < MIN_CONFIDENCE) return null;
+
+  const extracted = {
+    amount:    Number(result.amount) || null,
+    currency:  result.currency || null,
+    date:      result.date || null,
+    reference: result.reference || null,
+    bank:      result.bank || null
+  };
+  const receiptRef = await db.collection('paymentReceipts').add({
+    leadId,
+    ...order,
+    messageId:   msgRef.id,
+    mediaType,
+    storagePath,
+    extracted,
+    confidence:  Number(result.confidence),
+    provider:    PROVIDER,
+    status:      'pendiente',
+    createdAt:   new Date()
+  });
+  await msgRef.update({ receiptId: receiptRef.id, receipt: extracted });
+
+  const lead = (await db.collection('leads').doc(leadId).get()).data();
+  await sendTextMessage(lead.telefono,
+    'Recibimos tu comprobante 🙌 Lo estamos verificando y te confirmamos en breve.');
+  console.log(`🧾 comprobante ${receiptRef.id} pendiente de verificación (lead ${leadId})`);
+  return receiptRef.id;
+}
+
+/**
+ * Un agente revisa un comprobante pendiente y avisa al lead.
+ * - approve: registra el pago (amount del body o el extraído). Si la
+ *   referencia ya tenía un pago, el comprobante queda 'duplicado' sin avisar.
+ * - reject: guarda el motivo.
+ * El comprobante se reclama en una transacción ('pendiente' → 'revisando'),
+ * así que dos agentes no pueden revisarlo a la vez.
+ * @param {Object} opts - { agentId, amount?, currency?, reason? }
+ */
+export async function reviewReceipt(receiptId, action, { agentId = null, amount, currency, reason } = {}) {
+  const ref = db.collection('paymentReceipts').doc(receiptId);
+  const receipt = await db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw new Error('Comprobante no encontrado');
+    const data = snap.data();
+    if (data.status !== 'pendiente') throw new Error(`El comprobante ya está ${data.status}`);
+    tx.update(ref, action === 'approve'
+      ? { status: 'revisando', reviewedBy: agentId }
+      : { status: 'rechazado', reason: reason || null, reviewedBy: agentId, reviewedAt: new Date() });
+    return data;
+  });
+
+  const lead = (await db.collection('leads').doc(receipt.leadId).get()).data() || {};
+
+  if (action === 'approve') {
+    let payment;
+    try {
+      payment = await recordPayment({
+        musicaId:  receipt.musicaId,
+        leadId:    receipt.leadId,
+        amount:    amount || receipt.extracted?.amount,
+        currency:  currency || receipt.extracted?.currency || 'MXN',
+        method:    'transferencia',
+        provider:  'comprobante',
+        reference: receipt.extracted?.reference || receiptId,
+        agentId
+      });
+    } catch (err) {
+      await ref.update({ status: 'pendiente', reviewedBy: null });
+      throw err;
+    }
+
+    const { paymentId, duplicate } = payment;
+    if (duplicate) {
+      await ref.update({ status: 'duplicado', paymentId, reviewedAt: new Date() });
+      console.log(`🧾 comprobante ${receiptId} duplicado del pago ${paymentId}`);
+      return { status: 'duplicado', paymentId };
+    }
+    await ref.update({ status: 'aprobado', paymentId, reviewedAt: new Date() });
+    await sendTextMessage(lead.telefono, '¡Confirmamos tu pago! ✅ Muchas gracias.');
+    return { status: 'aprobado', paymentId };
+  }
+
+  await sendTextMessage(lead.telefono,
+    `No pudimos validar tu comprobante${reason ? `: ${reason}` : ''}. ¿Nos compartes otro o lo revisamos juntos?`);
+  return { status: 'rechazado' };
+}
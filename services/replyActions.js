@@ -0,0 +1,62 @@
+// services/replyActions.js
+//
+// Acciones al pulsar un botón (interactivo o quick reply de plantilla) o
+// elegir una fila de lista. Se configuran por id de respuesta en
+// config/appConfig.replyActions:
+//   { "letra_ok": { addTags: ['LetraAprobada'], trigger: 'LetraAprobada' },
+//     "letra_cambios": { addTags: ['CambiosLetra'], removeTags: [...], estado: '...' } }
+import { admin, db } from '../firebaseAdmin.js';
+
+const { FieldValue } = admin.firestore;
+
+/** Busca la acción configurada para un id de respuesta. */
+export async function getReplyAction(replyId) {
+  if (!replyId) return null;
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  const actions = (cfgSnap.exists && cfgSnap.data().replyActions) || {};
+  return actions[replyId] || null;
+}
+
+/**
+ * Aplica al lead la acción de la respuesta seleccionada: etiquetas,
+ * estado y/o inicio de una secuencia (que también se añade como etiqueta).
+ * @param {string} leadId
+ * @param {{ type: string, id: string, title: string }} reply
+ * @returns {Promise<Object|null>} la acción aplicada.
+ */
+export async function applyReplyAction(leadId, reply) {
+  const action = await getReplyAction(reply.id);
+  if (!action) return null;
+
+  const leadRef = db.collection('leads').doc(leadId);
+  const lead = (await leadRef.get()).data() || {};
+
+  const addTags = [...(action.addTags || [])];
+  if (action.trigger) addTags.push(action.trigger);
+
+  const update = {};
+  if (addTags.length) update.etiquetas = FieldValue.arrayUnion(...addTags);
+  if (action.estado) update.estado = action.estado;
+  const yaActiva = (lead.secuenciasActivas || []).some(s => s.trigger === action.trigger);
+  if (action.trigger && !yaActiva) {
+    update.secuenciasActivas = FieldValue.arrayUnion({
+      trigger: action.trigger,
+      startTime: new Date().toISOString(),
+      index: 0
+    });
+  }
+  if (Object.keys(update).length) await leadRef.update(update);
+  // arrayUnion y arrayRemove no se pueden combinar sobre el mismo campo
+  if (action.removeTags?.length) {
+    await leadRef.update({ etiquetas: FieldValue.arrayRemove(...action.removeTags) });
+  }
+
+  await leadRef.collection('messages').add({
+    content:   `Respuesta "${reply.title}" (${reply.id}): acción aplicada`,
+    replyAction: action,
+    sender:    'system',
+    timestamp: new Date()
+  });
+  console.log(`🔘 replyAction ${reply.id} aplicada al lead ${leadId}`);
+  return action;
+}
@@ -0,0 +1,42 @@
+// services/scheduling.js
+import { db } from '../firebaseAdmin.js';
+import {
+  DEFAULT_TIMEZONE,
+  getLeadTimeZone,
+  dayAtLocalTime,
+  isQuietTime,
+  nextAllowedTime
+} from '../utils/timezone.js';
+
+/**
+ * Lee de config/appConfig las horas de silencio de la cuenta
+ * ({ start: 'HH:MM', end: 'HH:MM' }) y la zona horaria por defecto.
+ */
+export async function getSchedulingConfig() {
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  const cfg = cfgSnap.exists ? cfgSnap.data() : {};
+  return {
+    quietHours:      cfg.quietHours || null,
+    defaultTimeZone: cfg.defaultTimeZone || DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Momento en que toca enviar un paso de secuencia en la hora local del lead:
+ * - { day: N, at: 'HH:MM' } → N días después del inicio, a esa hora local.
+ * - { delay } → minutos desde el inicio.
+ * Si cae en horas de silencio se difiere a la siguiente ventana permitida.
+ */
+export function stepSendTime(step, startTime, lead, cfg) {
+  const tz = getLeadTimeZone(lead, cfg.defaultTimeZone);
+  const scheduled = step.day != null && step.at
+    ? dayAtLocalTime(startTime, step.day, step.at, tz)
+    : new Date(new Date(startTime).getTime() + (step.delay || 0) * 60000);
+  return nextAllowedTime(scheduled, tz, cfg.quietHours);
+}
+
+/** true si ahora no son horas de silencio en la zona del lead. */
+export function canSendNow(lead, cfg) {
+  const tz = getLeadTimeZone(lead, cfg.defaultTimeZone);
+  return !isQuietTime(new Date(), tz, cfg.quietHours);
+}
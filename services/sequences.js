@@ -0,0 +1,127 @@
+// services/sequences.js
+import { db } from '../firebaseAdmin.js';
+import { normalizeText } from '../utils/text.js';
+
+/** Busca la definición de una secuencia por su trigger. */
+export async function getSequence(trigger) {
+  const seqSnap = await db
+    .collection('secuencias')
+    .where('trigger', '==', trigger)
+    .limit(1)
+    .get();
+  return seqSnap.empty ? null : seqSnap.docs[0].data();
+}
+
+/**
+ * Detiene las secuencias activas del lead cuya definición tiene `flag: true`
+ * y deja el motivo en su historial.
+ */
+async function stopSequencesByFlag(leadId, flag, motivo) {
+  const leadRef = db.collection('leads').doc(leadId);
+  const leadSnap = await leadRef.get();
+  const active = leadSnap.data()?.secuenciasActivas;
+  if (!Array.isArray(active) || !active.length) return;
+
+  const stopped = [];
+  for (const seq of active) {
+    const def = await getSequence(seq.trigger);
+    if (def?.[flag]) stopped.push(seq.trigger);
+  }
+  if (!stopped.length) return;
+
+  await leadRef.update({
+    secuenciasActivas: active.filter(s => !stopped.includes(s.trigger))
+  });
+  for (const trigger of stopped) {
+    await leadRef.collection('messages').add({
+      content:   `Secuencia ${trigger} detenida: ${motivo}`,
+      sender:    'system',
+      timestamp: new Date()
+    });
+  }
+}
+
+/**
+ * Cuando el lead responde, detiene las secuencias activas marcadas con
+ * `stopOnReply: true` y lo deja registrado en su historial.
+ */
+export function stopSequencesOnReply(leadId) {
+  return stopSequencesByFlag(leadId, 'stopOnReply', 'el lead respondió');
+}
+
+/**
+ * Cuando el lead paga, detiene las secuencias de venta (`stopOnPayment: true`).
+ */
+export function stopSequencesOnPayment(leadId) {
+  return stopSequencesByFlag(leadId, 'stopOnPayment', 'el lead pagó');
+}
+
+function toMillis(value) {
+  if (!value) return 0;
+  return value.toMillis?.() ?? new Date(value).getTime();
+}
+
+/**
+ * Evalúa `exitConditions` de la secuencia contra el lead:
+ * { tags: [...], estados: [...] } → basta con que se cumpla una.
+ * @returns {string|null} motivo de salida o null.
+ */
+export function matchExitCondition(def, lead) {
+  const exit = def.exitConditions;
+  if (!exit) return null;
+  const etiquetas = lead.etiquetas || [];
+  const tag = (exit.tags || []).find(t => etiquetas.includes(t));
+  if (tag) return `etiqueta ${tag}`;
+  if ((exit.estados || []).includes(lead.estado)) return `estado ${lead.estado}`;
+  return null;
+}
+
+/**
+ * Comprueba `conditions` de un paso: { requireTags: [...], excludeTags: [...] }.
+ * El paso sólo se envía si el lead tiene todas las requeridas y ninguna excluida.
+ */
+export function stepConditionsMet(step, lead) {
+  const cond = step.conditions;
+  if (!cond) return true;
+  const etiquetas = lead.etiquetas || [];
+  return (cond.requireTags || []).every(t => etiquetas.includes(t))
+    && !(cond.excludeTags || []).some(t => etiquetas.includes(t));
+}
+
+/**
+ * Busca en `jumps` del último paso enviado una regla cuyas palabras clave
+ * aparezcan en la última respuesta del lead. Sólo cuenta una respuesta
+ * posterior al envío del paso y que no se haya usado ya para otro salto.
+ * Regla: { keywords: [...], replyIds?: [...], toStep?: id|índice, toSequence?: trigger }
+ * (`replyIds` compara con el id del botón o fila de lista elegido).
+ * @returns {Object|null} la regla encontrada.
+ */
+export function findReplyJump(step, lead, seq) {
+  if (!step?.jumps?.length) return null;
+  const replyAt = toMillis(lead.lastInboundAt);
+  if (!replyAt) return null;
+  if (replyAt <= toMillis(seq.lastSentAt) || replyAt <= toMillis(seq.replyHandledAt)) return null;
+
+  const reply = normalizeText(lead.lastInboundText);
+  return step.jumps.find(j =>
+    (j.replyIds || []).includes(lead.lastInboundReplyId)
+    || (j.keywords || []).some(k => reply.includes(normalizeText(k)))
+  ) || null;
+}
+
+/** Resuelve `toStep` (id del paso o índice) a un índice de `messages`. */
+export function resolveStepIndex(msgs, toStep) {
+  if (typeof toStep === 'number') return toStep;
+  const idx = msgs.findIndex(m => m.id === toStep);
+  return idx === -1 ? msgs.length : idx;
+}
+
+/** Registra en el historial del lead la rama tomada por una secuencia. */
+export async function logBranch(leadId, content, branch) {
+  await db.collection('leads').doc(leadId).collection('messages').add({
+    content,
+    branch,
+    sender:    'system',
+    timestamp: new Date()
+  });
+}
@@ -0,0 +1,74 @@
+// services/songSelection.js
+//
+// Elección entre las variaciones de una canción: el lead recibe un clip por
+// variación y botones "Versión 1" / "Versión 2"; la elegida queda en
+// `selectedVariation` del doc 'musica' y es la que usan la entrega final
+// (services/payments.js) y cualquier edición posterior.
+import { db } from '../firebaseAdmin.js';
+import { sendTextMessage } from '../whatsappService.js';
+
+const PREFIX = 'version';
+
+/** Mensaje de botones (tipo 'buttons' del outbox) para elegir variación. */
+export function variationButtons(musicaId, count) {
+  return {
+    type: 'buttons',
+    content: '¿Cuál versión te gusta más?',
+    buttons: Array.from({ length: Math.min(count, 3) }, (_, i) => ({
+      id:    `${PREFIX}:${musicaId}:${i}`,
+      title: `Versión ${i + 1}`
+    }))
+  };
+}
+
+/**
+ * Registra la variación elegida; `fullUrl` y los clips del pedido pasan a
+ * ser los de esa variación.
+ * @param {Object} opts - { by: 'lead'|'agente', agentId? }
+ */
+export async function selectVariation(musicaId, index, { by = 'lead', agentId = null } = {}) {
+  const ref = db.collection('musica').doc(musicaId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error(`Pedido musica/${musicaId} no existe`);
+
+  const variation = snap.data().variations?.[index];
+  if (!variation) throw new Error(`El pedido no tiene variación ${index + 1}`);
+
+  await ref.update({
+    selectedVariation: index,
+    selectedAt:        new Date(),
+    selectedBy:        agentId || by,
+    fullUrl:           variation.fullUrl || null,
+    ...(variation.clipUrl ? { clipUrl: variation.clipUrl } : {}),
+    ...(variation.voiceClipUrl ? { voiceClipUrl: variation.voiceClipUrl } : {})
+  });
+  console.log(`🎵 musica/${musicaId}: elegida la versión ${index + 1} (${agentId || by})`);
+  return variation;
+}
+
+/**
+ * Interpreta la respuesta del lead a los botones de versión. Sólo cuenta si
+ * el pedido es del lead y aún no tiene versión elegida.
+ * @returns {Promise<boolean>} true si el mensaje era una elección de versión.
+ */
+export async function handleVariationReply(lead, reply) {
+  const [prefix, musicaId, index] = String(reply?.id || '').split(':');
+  if (prefix !== PREFIX || !musicaId) return false;
+
+  const snap = await db.collection('musica').doc(musicaId).get();
+  if (!snap.exists || snap.data().leadId !== lead.id) {
+    console.warn(`⚠️ lead ${lead.id} eligió versión de un pedido ajeno o inexistente (${musicaId})`);
+    return false;
+  }
+  const { selectedVariation } = snap.data();
+  if (selectedVariation != null) {
+    await sendTextMessage(lead.telefono,
+      `Ya tenemos registrada tu elección: la versión ${selectedVariation + 1} 🎶`);
+    return true;
+  }
+
+  await selectVariation(musicaId, Number(index));
+  await sendTextMessage(lead.telefono,
+    `¡Excelente elección! Nos quedamos con la versión ${Number(index) + 1} 🎶`);
+  return true;
+}
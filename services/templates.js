@@ -0,0 +1,204 @@
+// services/templates.js
+//
+// Catálogo de plantillas de WhatsApp sincronizado desde la cuenta de
+// WhatsApp Business (colección 'templates', id `<nombre>__<idioma>`) y
+// construcción/validación de los components de envío.
+import axios from 'axios';
+import { db } from '../firebaseAdmin.js';
+import { replacePlaceholders, sanitizeParam, truncateToLimit } from '../utils/placeholders.js';
+
+const TOKEN  = process.env.WHATSAPP_TOKEN;
+const WABAID = process.env.WABA_ID;
+const GRAPH_WABA_URL = `https://graph.facebook.com/v22.0/${WABAID}`;
+
+const MEDIA_FORMATS = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+/** Cuenta los placeholders distintos ({{1}}, {{nombre}}) de un texto. */
+function countPlaceholders(text) {
+  return new Set(String(text || '').match(/\{\{[^}]+\}\}/g) || []).size;
+}
+
+/**
+ * Resume cuántos parámetros necesita cada parte de la plantilla:
+ * { header: { format, params }, body: n, buttons: [{ index, type, params, required }] }
+ */
+export function getParamSpec(components = []) {
+  const spec = { header: null, body: 0, buttons: [] };
+  for (const c of components) {
+    if (c.type === 'HEADER') {
+      spec.header = {
+        format: c.format || 'TEXT',
+        params: MEDIA_FORMATS.includes(c.format) ? 1 : countPlaceholders(c.text)
+      };
+    } else if (c.type === 'BODY') {
+      spec.body = countPlaceholders(c.text);
+    } else if (c.type === 'BUTTONS') {
+      (c.buttons || []).forEach((b, index) => {
+        if (b.type === 'URL') {
+          const params = countPlaceholders(b.url);
+          spec.buttons.push({ index, type: 'url', params, required: params > 0 });
+        } else if (b.type === 'QUICK_REPLY') {
+          // El payload de un quick reply es opcional
+          spec.buttons.push({ index, type: 'quick_reply', params: 1, required: false });
+        }
+      });
+    }
+  }
+  return spec;
+}
+
+/**
+ * Descarga las plantillas de la cuenta (paginando) y las guarda en 'templates'.
+ * @returns {Promise<number>} plantillas sincronizadas.
+ */
+export async function syncTemplates() {
+  if (!WABAID) throw new Error('Falta la variable de entorno WABA_ID');
+
+  let url = `${GRAPH_WABA_URL}/message_templates`;
+  let params = {
+    access_token: TOKEN,
+    fields: 'name,language,status,category,components',
+    limit: 100
+  };
+  let count = 0;
+
+  while (url) {
+    const { data } = await axios.get(url, { params });
+    const batch = db.batch();
+    for (const t of data.data || []) {
+      batch.set(db.collection('templates').doc(`${t.name}__${t.language}`), {
+        name:       t.name,
+        language:   t.language,
+        status:     t.status,
+        category:   t.category,
+        components: t.components || [],
+        paramSpec:  getParamSpec(t.components),
+        syncedAt:   new Date()
+      });
+      count++;
+    }
+    await batch.commit();
+    // `next` ya incluye token y cursores
+    url = data.paging?.next || null;
+    params = undefined;
+  }
+
+  console.log(`📋 syncTemplates: ${count} plantillas sincronizadas`);
+  return count;
+}
+
+/** Busca una plantilla del catálogo. */
+export async function getTemplate(name, language) {
+  const snap = await db.collection('templates').doc(`${name}__${language}`).get();
+  return snap.exists ? snap.data() : null;
+}
+
+/** Error de validación de parámetros (el endpoint responde 400). */
+function paramsError(message) {
+  const err = new Error(message);
+  err.code = 'TEMPLATE_PARAMS';
+  return err;
+}
+
+/**
+ * Comprueba que los parámetros encajan con la plantilla del catálogo.
+ * Si la plantilla aún no se sincronizó sólo avisa y deja que la API decida.
+ * @param {Object} params - { header, body, buttons } (ver buildTemplateComponents)
+ */
+export async function validateTemplateParams(name, language, params) {
+  const template = await getTemplate(name, language);
+  if (!template) {
+    console.warn(`⚠️ plantilla ${name} (${language}) no está en el catálogo, no se valida`);
+    return;
+  }
+  if (template.status !== 'APPROVED') {
+    throw paramsError(`La plantilla ${name} (${language}) está en status ${template.status}`);
+  }
+
+  const spec = template.paramSpec || getParamSpec(template.components);
+  const body = params.body || [];
+  if (body.length !== spec.body) {
+    throw paramsError(`La plantilla ${name} espera ${spec.body} parámetros de body y recibió ${body.length}`);
+  }
+
+  if (spec.header?.params) {
+    const expected = MEDIA_FORMATS.includes(spec.header.format) ? spec.header.format.toLowerCase() : 'text';
+    if (!params.header) throw paramsError(`La plantilla ${name} requiere header de tipo ${expected}`);
+    if (params.header.type !== expected) {
+      throw paramsError(`La plantilla ${name} espera header ${expected} y recibió ${params.header.type}`);
+    }
+  } else if (params.header) {
+    throw paramsError(`La plantilla ${name} no tiene parámetros de header`);
+  }
+
+  for (const b of spec.buttons.filter(b => b.required)) {
+    if (!(params.buttons || []).some(p => Number(p.index) === b.index)) {
+      throw paramsError(`La plantilla ${name} requiere parámetro para el botón ${b.index} (${b.type})`);
+    }
+  }
+  for (const p of params.buttons || []) {
+    const b = spec.buttons.find(b => b.index === Number(p.index));
+    if (!b || b.type !== p.sub_type) {
+      throw paramsError(`La plantilla ${name} no tiene botón ${p.sub_type} en la posición ${p.index}`);
+    }
+  }
+}
+
+/**
+ * Construye los components de la Cloud API:
+ * - header: { type: 'text'|'image'|'video'|'document', value, filename? }
+ *   (value es texto, URL o id de media)
+ * - body: ['texto 1', 'texto 2', …]
+ * - buttons: [{ index, sub_type: 'url'|'quick_reply', value }]
+ */
+export function buildTemplateComponents({ header, body, buttons } = {}) {
+  const components = [];
+
+  if (header) {
+    let parameter;
+    if (header.type === 'text') {
+      parameter = { type: 'text', text: header.value };
+    } else {
+      const media = String(header.value).startsWith('http')
+        ? { link: header.value }
+        : { id: header.value };
+      if (header.type === 'document' && header.filename) media.filename = header.filename;
+      parameter = { type: header.type, [header.type]: media };
+    }
+    components.push({ type: 'header', parameters: [parameter] });
+  }
+
+  if (body?.length) {
+    components.push({
+      type: 'body',
+      parameters: body.map(text => ({ type: 'text', text }))
+    });
+  }
+
+  for (const b of buttons || []) {
+    components.push({
+      type:     'button',
+      sub_type: b.sub_type,
+      index:    String(b.index),
+      parameters: [b.sub_type === 'url'
+        ? { type: 'text', text: b.value }
+        : { type: 'payload', payload: b.value }]
+    });
+  }
+
+  return components;
+}
+
+/**
+ * Sustituye los placeholders ({{nombre}}, {{letra}}, …) de los parámetros
+ * con los datos del lead. Los textos del body se limpian y recortan al
+ * límite de la API.
+ */
+export function resolveTemplateParams({ header, body, buttons } = {}, lead = {}) {
+  const fill = value => replacePlaceholders(String(value ?? ''), lead);
+  return {
+    header: header ? { ...header, value: fill(header.value) } : undefined,
+    body: (body || []).map(v => truncateToLimit(sanitizeParam(fill(v)), 1024, 5) || '-'),
+    buttons: (buttons || []).map(b => ({ ...b, value: fill(b.value) }))
+  };
+}
@@ -0,0 +1,95 @@
+// services/transcription.js
+//
+// Transcripción de notas de voz entrantes con un proveedor intercambiable
+// (env TRANSCRIPTION_PROVIDER):
+//   - 'openai' (por defecto): Whisper con la OPENAI_API_KEY del proyecto.
+//   - 'stub': devuelve un texto fijo, para pruebas sin llamar a la API.
+//   - 'none': desactiva la transcripción.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getOpenAI } from '../openaiClient.js';
+import { admin, db } from '../firebaseAdmin.js';
+
+const PROVIDER = process.env.TRANSCRIPTION_PROVIDER || 'openai';
+const LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || 'es';
+
+const providers = {
+  async openai(filePath) {
+    const resp = await getOpenAI().createTranscription(
+      fs.createReadStream(filePath), 'whisper-1', undefined, 'json', 0, LANGUAGE
+    );
+    return resp.data.text?.trim() || '';
+  },
+  async stub(filePath) {
+    return `Transcripción de prueba de ${path.basename(filePath)}`;
+  }
+};
+
+/** Indica si hay un proveedor de transcripción activo. */
+export function transcriptionEnabled() {
+  return PROVIDER in providers;
+}
+
+/**
+ * Transcribe un archivo de audio local con el proveedor configurado.
+ * @returns {Promise<{ text: string, provider: string }>}
+ */
+export async function transcribeAudio(filePath) {
+  const provider = providers[PROVIDER];
+  if (!provider) throw new Error(`Proveedor de transcripción desconocido: ${PROVIDER}`);
+  return { text: await provider(filePath), provider: PROVIDER };
+}
+
+/**
+ * Transcribe la nota de voz de un mensaje (ya subida a Storage) y guarda
+ * el texto en el propio mensaje: `transcript` y `transcription` { status, provider }.
+ * Los errores quedan en el mensaje; nunca se propagan al webhook.
+ * @param {FirebaseFirestore.DocumentReference} msgRef
+ * @param {string} storagePath - Ruta del audio en el bucket.
+ * @returns {Promise<string|null>} el texto transcrito.
+ */
+export async function transcribeMessage(msgRef, storagePath) {
+  if (!transcriptionEnabled()) return null;
+
+  const tmpPath = path.join(os.tmpdir(), `voz-${msgRef.id}${path.extname(storagePath)}`);
+  try {
+    await admin.storage().bucket().file(storagePath).download({ destination: tmpPath });
+    const { text, provider } = await transcribeAudio(tmpPath);
+    await msgRef.update({
+      transcript: text,
+      transcription: { status: 'done', provider, at: new Date() }
+    });
+    console.log(`🗣️ nota de voz transcrita (${provider}) en ${msgRef.path}`);
+    return text;
+  } catch (err) {
+    console.error(`❌ Error transcribiendo ${msgRef.path}:`, err.response?.data || err.message);
+    await msgRef.update({
+      transcription: { status: 'error', provider: PROVIDER, errorMsg: err.message, at: new Date() }
+    }).catch(() => {});
+    return null;
+  } finally {
+    fs.promises.unlink(tmpPath).catch(() => {});
+  }
+}
+
+/**
+ * Junta las transcripciones de las notas de voz del lead (de la más antigua
+ * a la más reciente) para usarlas como anécdotas en los prompts de letras.
+ * @returns {Promise<string>} texto vacío si no hay ninguna.
+ */
+export async function getLeadTranscripts(leadId, maxChars = 1500) {
+  if (!leadId) return '';
+  const snap = await db.collection('leads').doc(leadId).collection('messages')
+    .where('mediaType', '==', 'audio')
+    .get();
+  const texts = snap.docs
+    .map(d => d.data())
+    .filter(m => m.sender === 'lead' && m.transcript)
+    .sort((a, b) => a.timestamp.toMillis() - b.timestamp.toMillis())
+    .map(m => m.transcript);
+
+  const joined = texts.join('\n');
+  // Si se pasa del límite, nos quedamos con lo más reciente
+  return joined.length > maxChars ? joined.slice(-maxChars) : joined;
+}
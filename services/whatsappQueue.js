@@ -0,0 +1,97 @@
+// services/whatsappQueue.js
+//
+// Cola de salida para la WhatsApp Cloud API: limita los mensajes por segundo
+// del número, espacia los mensajes consecutivos a un mismo destinatario,
+// respeta el retry-after de los errores de throttling y mantiene el orden
+// de envío por destinatario (saludo → letra → audio).
+
+// Se leen en cada envío: dotenv se carga después de importar los módulos
+// Presupuesto global de mensajes por segundo del número
+const messagesPerSecond = () => Number(process.env.WA_MESSAGES_PER_SECOND) || 20;
+// Separación mínima entre dos mensajes al mismo destinatario
+const pairSpacingMs = () => Number(process.env.WA_PAIR_SPACING_MS) || 1000;
+// Reintentos ante throttling antes de propagar el error
+const MAX_THROTTLE_RETRIES = 5;
+
+// 130429: throughput del número superado · 131056: límite por par emisor/destinatario
+const THROTTLE_CODES = [130429, 131056];
+
+const recipientTails = new Map();     // to → promesa del último envío encolado
+const recipientLastSent = new Map();  // to → ms del último envío
+const recipientPauseUntil = new Map();
+let nextGlobalSlot = 0;
+let globalPauseUntil = 0;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+
+/** Espera hasta que el presupuesto global y el espaciado del destinatario permitan enviar. */
+async function waitForSlot(to) {
+  const now = Date.now();
+  const slot = Math.max(
+    now,
+    nextGlobalSlot,
+    globalPauseUntil,
+    (recipientLastSent.get(to) || 0) + pairSpacingMs(),
+    recipientPauseUntil.get(to) || 0
+  );
+  nextGlobalSlot = slot + 1000 / messagesPerSecond();
+  await sleep(slot - now);
+}
+
+/** ms a esperar tras un error de throttling: retry-after o backoff exponencial. */
+function retryAfterMs(err, attempt) {
+  const header = Number(err.response?.headers?.['retry-after']);
+  if (header > 0) return header * 1000;
+  return Math.min(1000 * 2 ** attempt, 60_000);
+}
+
+/** Olvida los destinatarios inactivos para que los mapas no crezcan sin límite. */
+function prune() {
+  if (recipientLastSent.size < 5000) return;
+  const cutoff = Date.now() - pairSpacingMs();
+  for (const [to, ts] of recipientLastSent) {
+    if (ts < cutoff && !recipientTails.has(to)) {
+      recipientLastSent.delete(to);
+      recipientPauseUntil.delete(to);
+    }
+  }
+}
+
+async function sendWithLimits(to, fn) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot(to);
+    try {
+      const result = await fn();
+      recipientLastSent.set(to, Date.now());
+      return result;
+    } catch (err) {
+      recipientLastSent.set(to, Date.now());
+      const code = err.response?.data?.error?.code;
+      if (!THROTTLE_CODES.includes(code) || attempt >= MAX_THROTTLE_RETRIES) throw err;
+
+      const wait = retryAfterMs(err, attempt);
+      console.warn(`[WA QUEUE] throttling ${code} para ${to}, reintento en ${wait}ms`);
+      if (code === 130429) globalPauseUntil = Date.now() + wait;
+      else recipientPauseUntil.set(to, Date.now() + wait);
+    }
+  }
+}
+
+/**
+ * Encola un envío para `to`. Los envíos a un mismo destinatario se ejecutan
+ * en orden FIFO, uno tras otro.
+ * @param {string} to - Teléfono destino normalizado.
+ * @param {Function} fn - () => Promise con la llamada a la API.
+ */
+export function enqueueSend(to, fn) {
+  const prev = recipientTails.get(to) || Promise.resolve();
+  const run = prev.catch(() => {}).then(() => sendWithLimits(to, fn));
+  recipientTails.set(to, run);
+
+  const cleanup = () => {
+    if (recipientTails.get(to) === run) recipientTails.delete(to);
+    prune();
+  };
+  run.then(cleanup, cleanup);
+  return run;
+}
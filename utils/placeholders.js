@@ -0,0 +1,39 @@
+// utils/placeholders.js
+
+// Sanitize helper correctamente nombrado
+export function sanitizeParam(text) {
+  return text
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Trunca un texto para que su longitud, contando saltos de línea,
+ * nunca supere `maxLen - safetyMargin`. 
+ */
+export function truncateToLimit(text, maxLen = 1024, safetyMargin = 5) {
+  // Si está dentro de los límites, devolvemos tal cual
+  if (text.length <= maxLen - safetyMargin) {
+    return text;
+  }
+  // Si excede, lo recortamos
+  return text.slice(0, maxLen - safetyMargin);
+}
+
+/**
+ * Reemplaza placeholders en plantillas de texto.
+ * {{campo}} se sustituye por leadData.campo si existe.
+ */
+// Placeholder replacer
+export function replacePlaceholders(template, leadData) {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, field) => {
+    if (field === 'nombre') {
+      return (leadData.nombre || '').split(' ')[0];
+    }
+    if (field === 'letra') {
+      return leadData.letra || '';
+    }
+    return leadData[field] || '';
+  });
+}
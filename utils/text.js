@@ -0,0 +1,9 @@
+// utils/text.js
+
+/** Minúsculas y sin acentos, para comparar palabras clave. */
+export function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
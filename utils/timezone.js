@@ -0,0 +1,130 @@
+// utils/timezone.js
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+// Zona horaria por defecto de cada país (para países con varias zonas se
+// usa la más poblada; el lead puede sobreescribirla con `timeZone`).
+const COUNTRY_TIMEZONES = {
+  MX: 'America/Mexico_City',
+  US: 'America/Chicago',
+  CA: 'America/Toronto',
+  GT: 'America/Guatemala',
+  SV: 'America/El_Salvador',
+  HN: 'America/Tegucigalpa',
+  NI: 'America/Managua',
+  CR: 'America/Costa_Rica',
+  PA: 'America/Panama',
+  CO: 'America/Bogota',
+  VE: 'America/Caracas',
+  EC: 'America/Guayaquil',
+  PE: 'America/Lima',
+  BO: 'America/La_Paz',
+  CL: 'America/Santiago',
+  AR: 'America/Argentina/Buenos_Aires',
+  UY: 'America/Montevideo',
+  PY: 'America/Asuncion',
+  BR: 'America/Sao_Paulo',
+  DO: 'America/Santo_Domingo',
+  PR: 'America/Puerto_Rico',
+  CU: 'America/Havana',
+  ES: 'Europe/Madrid'
+};
+
+export const DEFAULT_TIMEZONE = 'America/Mexico_City';
+
+/** Deduce la zona horaria a partir del teléfono (E.164 con o sin '+'). */
+export function getTimeZoneForPhone(phone, fallback = DEFAULT_TIMEZONE) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return fallback;
+  const parsed = parsePhoneNumberFromString(`+${digits}`);
+  return COUNTRY_TIMEZONES[parsed?.country] || fallback;
+}
+
+/** Zona horaria del lead: `lead.timeZone` explícita o deducida del teléfono. */
+export function getLeadTimeZone(lead, fallback = DEFAULT_TIMEZONE) {
+  return lead.timeZone || getTimeZoneForPhone(lead.telefono || lead.leadPhone, fallback);
+}
+
+/** Componentes de fecha/hora locales de `date` en la zona `tz`. */
+export function getZonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return {
+    year: get('year'), month: get('month'), day: get('day'),
+    hour: get('hour'), minute: get('minute'), second: get('second')
+  };
+}
+
+/** Diferencia (ms) entre la hora local de `tz` y UTC en el instante `date`. */
+function tzOffsetMs(date, tz) {
+  const p = getZonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convierte una fecha/hora local de `tz` a Date (UTC).
+ * Los días/horas fuera de rango se normalizan (día 32 → siguiente mes).
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, tz) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - tzOffsetMs(new Date(guess), tz);
+  // Segunda pasada por si el offset cambia (horario de verano)
+  return new Date(guess - tzOffsetMs(new Date(first), tz));
+}
+
+/** 'HH:MM' → minutos desde medianoche. */
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+/**
+ * Fecha del día `dayN` (0 = el mismo día) contado desde `start` en la zona
+ * `tz`, a la hora local `at` ('HH:MM').
+ */
+export function dayAtLocalTime(start, dayN, at, tz) {
+  const p = getZonedParts(new Date(start), tz);
+  const mins = toMinutes(at);
+  return zonedTimeToUtc({
+    year: p.year, month: p.month, day: p.day + Number(dayN),
+    hour: Math.floor(mins / 60), minute: mins % 60
+  }, tz);
+}
+
+/**
+ * true si `date` cae en horas de silencio { start: 'HH:MM', end: 'HH:MM' }
+ * de la zona `tz`. El rango puede cruzar la medianoche (21:00 → 09:00).
+ */
+export function isQuietTime(date, tz, quietHours) {
+  if (!quietHours?.start || !quietHours?.end) return false;
+  const p = getZonedParts(date, tz);
+  const now = p.hour * 60 + p.minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+/**
+ * Devuelve `date` si está fuera de las horas de silencio o, si no, el
+ * inicio de la siguiente ventana permitida (quietHours.end local).
+ */
+export function nextAllowedTime(date, tz, quietHours) {
+  const d = new Date(date);
+  if (!isQuietTime(d, tz, quietHours)) return d;
+  const p = getZonedParts(d, tz);
+  const end = toMinutes(quietHours.end);
+  const nowMins = p.hour * 60 + p.minute;
+  // Si ya pasamos la hora de fin hoy, la ventana abre mañana
+  const dayOffset = nowMins >= end ? 1 : 0;
+  return zonedTimeToUtc({
+    year: p.year, month: p.month, day: p.day + dayOffset,
+    hour: Math.floor(end / 60), minute: end % 60
+  }, tz);
+}
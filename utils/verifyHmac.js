@@ -0,0 +1,42 @@
+// utils/verifyHmac.js
+import crypto from 'crypto';
+
+/**
+ * Crea un middleware que valida una cabecera de firma `<prefix>=<hex>` con
+ * el HMAC-SHA256 del cuerpo crudo. Requiere que express.json guarde el
+ * buffer en req.rawBody.
+ * @param {Object} opts
+ * @param {string} opts.header - Cabecera con la firma (p.ej. 'X-Hub-Signature-256').
+ * @param {Function} opts.secret - () => secreto; se lee en cada petición
+ *   (dotenv se carga después de importar los módulos).
+ * @param {string} [opts.prefix='sha256'] - Algoritmo declarado en la cabecera.
+ * @param {string} [opts.tag='WEBHOOK'] - Prefijo de los logs.
+ */
+export function verifyHmac({ header, secret, prefix = 'sha256', tag = 'WEBHOOK' }) {
+  return (req, res, next) => {
+    const key = secret();
+    if (!key) {
+      console.error(`[${tag}] Falta el secreto para ${header}; se rechaza la petición`);
+      return res.sendStatus(403);
+    }
+
+    const [algo, signature] = (req.get(header) || '').split('=');
+    if (algo !== prefix || !signature || !req.rawBody) {
+      console.warn(`[${tag}] Petición sin firma válida`);
+      return res.sendStatus(401);
+    }
+
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(req.rawBody)
+      .digest('hex');
+
+    const a = Buffer.from(signature, 'hex');
+    const b = Buffer.from(expected, 'hex');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      console.warn(`[${tag}] Firma ${header} inválida`);
+      return res.sendStatus(401);
+    }
+    next();
+  };
+}
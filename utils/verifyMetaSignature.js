@@ -0,0 +1,11 @@
+// utils/verifyMetaSignature.js
+import { verifyHmac } from './verifyHmac.js';
+
+/**
+ * Middleware que valida la cabecera X-Hub-Signature-256 de Meta
+ * (HMAC-SHA256 del cuerpo crudo con el App Secret).
+ */
+export const verifyMetaSignature = verifyHmac({
+  header: 'X-Hub-Signature-256',
+  secret: () => process.env.WHATSAPP_APP_SECRET
+});
@@ -0,0 +1,19 @@
+// utils/verifyPaymentSignature.js
+import { verifyHmac } from './verifyHmac.js';
+
+const verifySignature = verifyHmac({
+  header: 'X-Payment-Signature',
+  secret: () => process.env.PAYMENT_WEBHOOK_SECRET,
+  tag:    'PAGOS'
+});
+
+/**
+ * Middleware que valida la cabecera X-Payment-Signature del webhook de
+ * pagos (sha256=<HMAC-SHA256 del cuerpo crudo con PAYMENT_WEBHOOK_SECRET>).
+ * El proveedor 'stub' va sin firma sólo con PAYMENT_STUB_ENABLED=true
+ * (pruebas locales; nunca en producción).
+ */
+export function verifyPaymentSignature(req, res, next) {
+  if (req.params.provider === 'stub' && process.env.PAYMENT_STUB_ENABLED === 'true') return next();
+  return verifySignature(req, res, next);
+}
@@ -3,6 +3,7 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import { db } from './firebaseAdmin.js';
+import { enqueueSend } from './services/whatsappQueue.js';
 
 dotenv.config();
 
@@ -18,8 +19,18 @@ function normalize(phone) {
   return num;
 }
 
-/** Llama a la WhatsApp Cloud API */
+/**
+ * Llama a la WhatsApp Cloud API. Los envíos a /messages pasan por la cola
+ * de salida (límite de mensajes por segundo y orden por destinatario).
+ */
 async function callWhatsAppAPI(path, body, config = {}) {
+  if (path === '/messages' && body?.to) {
+    return enqueueSend(body.to, () => postWhatsAppAPI(path, body, config));
+  }
+  return postWhatsAppAPI(path, body, config);
+}
+
+async function postWhatsAppAPI(path, body, config = {}) {
   const url = API_BASE + path;
   console.log(`[WA API] POST ${path}:`, body);
 
@@ -42,98 +53,265 @@ async function callWhatsAppAPI(path, body, config = {}) {
   }
 }
 
-/** Envía un mensaje de texto por WhatsApp y lo guarda en Firestore. */
-export async function sendTextMessage(phone, text) {
-  const to = normalize(phone);
-  await callWhatsAppAPI('/messages', {
-    messaging_product: 'whatsapp',
-    to,
-    type: 'text',
-    text: { body: text }
-  });
+/**
+ * Guarda un mensaje saliente en la subcolección del lead junto con su wamid,
+ * y registra el wamid en 'waMessages' para que el webhook de estados lo encuentre.
+ * Devuelve { wamid, leadId, messageId } (leadId/messageId null si no hay lead).
+ */
+async function saveOutgoingMessage(to, msgData, wamid, lead) {
+  if (lead === undefined) lead = await findLeadByPhone(to);
+  if (!lead) return { wamid, leadId: null, messageId: null };
+
+  const leadId = lead.id;
+  const timestamp = new Date();
+  const data = {
+    ...msgData,
+    sender: 'business',
+    timestamp
+  };
+  if (wamid) {
+    data.wamid = wamid;
+    data.status = 'accepted';
+    data.statusHistory = [{ status: 'accepted', timestamp }];
+  }
 
-  // Guardar en Firestore
+  const msgRef = await db.collection('leads').doc(leadId).collection('messages').add(data);
+  await db.collection('leads').doc(leadId).update({ lastMessageAt: timestamp });
+
+  if (wamid) {
+    await db.collection('waMessages').doc(wamid).set({
+      leadId,
+      messageId: msgRef.id,
+      // Los envíos de campaña actualizan también su destinatario
+      ...(msgData.campaignId ? { campaignId: msgData.campaignId } : {}),
+      createdAt: timestamp
+    });
+  }
+  return { wamid, leadId, messageId: msgRef.id };
+}
+
+/** Extrae el wamid de la respuesta de /messages */
+function getWamid(resp) {
+  return resp?.messages?.[0]?.id || null;
+}
+
+/** Busca el lead por teléfono normalizado. Devuelve { id, data } o null. */
+async function findLeadByPhone(to) {
   const q = await db.collection('leads')
                   .where('telefono', '==', to)
                   .limit(1)
                   .get();
-  if (!q.empty) {
-    const leadId = q.docs[0].id;
-    const msgData = {
-      content: text,
-      sender: 'business',
-      timestamp: new Date()
+  return q.empty ? null : { id: q.docs[0].id, data: q.docs[0].data() };
+}
+
+// Ventana de atención al cliente de WhatsApp: 24h desde el último mensaje del lead
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Error de la Cloud API al enviar fuera de la ventana
+const WINDOW_CLOSED_ERROR = 131047;
+
+/**
+ * true si la ventana de 24h está abierta. Si no sabemos cuándo escribió
+ * el lead (leads anteriores a `lastInboundAt`) lo intentamos y dejamos que
+ * la API responda 131047.
+ */
+function isWindowOpen(leadData) {
+  const last = leadData.lastInboundAt?.toDate?.() || leadData.lastInboundAt;
+  if (!last) return true;
+  return Date.now() - new Date(last).getTime() < SERVICE_WINDOW_MS;
+}
+
+/** Limpia y recorta un texto para usarlo como parámetro de plantilla. */
+function toTemplateParam(text) {
+  return String(text || '')
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/ {2,}/g, ' ')
+    .trim()
+    .slice(0, 1019) || '-';
+}
+
+/**
+ * Ventana cerrada: según config/appConfig.windowFallback
+ *   { mode: 'template', templateName, language, paramMapping: ['nombre', 'content'] }
+ * envía la plantilla aprobada con el contenido original como parámetros, o
+ * (mode 'queue' o sin plantilla) guarda el mensaje en leads/{id}/pendingMessages
+ * hasta que el lead vuelva a escribir (ver flushPendingMessages).
+ */
+async function handleClosedWindow(to, lead, body, msgData) {
+  const cfgSnap = await db.collection('config').doc('appConfig').get();
+  const fallback = (cfgSnap.exists && cfgSnap.data().windowFallback) || {};
+
+  if (fallback.mode === 'template' && fallback.templateName) {
+    const sources = {
+      content: msgData.content || msgData.mediaUrl || msgData.mediaId || '',
+      nombre:  (lead.data.nombre || '').split(' ')[0]
     };
-    await db.collection('leads').doc(leadId).collection('messages').add(msgData);
-    await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
+    const parameters = (fallback.paramMapping || ['content'])
+      .map(key => ({ type: 'text', text: toTemplateParam(sources[key]) }));
+
+    console.log(`[WA API] ventana cerrada para ${to}, usando plantilla ${fallback.templateName}`);
+    const result = await sendTemplateMessage({
+      to,
+      templateName: fallback.templateName,
+      language:     fallback.language || 'es_MX',
+      components:   parameters.length ? [{ type: 'body', parameters }] : [],
+      variables:    { original: sources.content }
+    });
+    return { ...result, viaTemplate: true };
+  }
+
+  console.log(`[WA API] ventana cerrada para ${to}, mensaje en cola hasta que responda`);
+  const timestamp = new Date();
+  const msgRef = await db.collection('leads').doc(lead.id).collection('messages').add({
+    ...msgData,
+    sender:    'business',
+    status:    'queued',
+    statusHistory: [{ status: 'queued', timestamp }],
+    timestamp
+  });
+  await db.collection('leads').doc(lead.id).collection('pendingMessages').add({
+    body,
+    messageId: msgRef.id,
+    queuedAt:  timestamp
+  });
+  return { wamid: null, leadId: lead.id, messageId: msgRef.id, queued: true };
+}
+
+/**
+ * Envía un mensaje libre (no plantilla) comprobando antes la ventana de 24h.
+ * @returns {Promise<{ wamid, leadId, messageId, queued?, viaTemplate? }>}
+ */
+async function sendFreeForm(to, body, msgData) {
+  const lead = await findLeadByPhone(to);
+  if (lead && !isWindowOpen(lead.data)) {
+    return handleClosedWindow(to, lead, body, msgData);
+  }
+
+  let resp;
+  try {
+    resp = await callWhatsAppAPI('/messages', body);
+  } catch (err) {
+    if (lead && err.response?.data?.error?.code === WINDOW_CLOSED_ERROR) {
+      return handleClosedWindow(to, lead, body, msgData);
+    }
+    throw err;
+  }
+  return saveOutgoingMessage(to, msgData, getWamid(resp), lead);
+}
+
+// Un mensaje en cola 'sending' más antiguo que esto se da por abandonado
+// (proceso caído a media entrega) y otro flush puede reclamarlo
+const PENDING_SENDING_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Reclama un mensaje en cola (pending → sending) en una transacción, para
+ * que dos flush simultáneos (p.ej. dos mensajes seguidos del lead) no lo
+ * envíen dos veces. Devuelve false si ya lo tiene otro flush o ya se envió.
+ */
+async function claimPendingMessage(ref) {
+  return db.runTransaction(async tx => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return false;
+    const { status, sendingAt } = snap.data();
+    if (status === 'sending'
+        && Date.now() - sendingAt.toMillis() < PENDING_SENDING_STALE_MS) return false;
+    tx.update(ref, { status: 'sending', sendingAt: new Date() });
+    return true;
+  });
+}
+
+/**
+ * Envía los mensajes que quedaron en cola por ventana cerrada. Se llama
+ * cuando el lead vuelve a escribir (la ventana se reabre).
+ */
+export async function flushPendingMessages(leadId) {
+  const leadRef = db.collection('leads').doc(leadId);
+  const pending = await leadRef.collection('pendingMessages').orderBy('queuedAt').get();
+
+  for (const doc of pending.docs) {
+    // Otro flush está enviando la cola: conservamos el orden y lo dejamos
+    if (!(await claimPendingMessage(doc.ref))) break;
+    const { body, messageId } = doc.data();
+    let wamid;
+    try {
+      wamid = getWamid(await callWhatsAppAPI('/messages', body));
+    } catch (err) {
+      console.error(`[WA API] no pude enviar mensaje en cola ${doc.id} de ${leadId}:`, err.message);
+      await doc.ref.update({ status: 'pending', sendingAt: null }).catch(() => {});
+      break; // conservamos el orden: el resto espera al siguiente intento
+    }
+    // Enviado: se borra primero de la cola para no reenviarlo aunque falle
+    // la actualización del mensaje
+    await doc.ref.delete();
+    const timestamp = new Date();
+    await leadRef.collection('messages').doc(messageId).update({
+      wamid,
+      status:    'accepted',
+      statusHistory: [{ status: 'accepted', timestamp }],
+      timestamp
+    });
+    if (wamid) {
+      await db.collection('waMessages').doc(wamid).set({ leadId, messageId, createdAt: timestamp });
+    }
   }
 }
 
-/** Envía un mensaje de audio (ID o URL) por WhatsApp y lo guarda en Firestore. */
-export async function sendAudioMessage(phone, media) {
+/** Envía un mensaje de texto por WhatsApp y lo guarda en Firestore. */
+export async function sendTextMessage(phone, text) {
+  const to = normalize(phone);
+  // Envía (si la ventana de 24h lo permite) y guarda en Firestore
+  return sendFreeForm(to, {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'text',
+    text: { body: text }
+  }, { content: text });
+}
+
+/**
+ * Envía un mensaje de audio (ID o URL) por WhatsApp y lo guarda en Firestore.
+ * Con `voice: true` se muestra como nota de voz (el audio debe ser OGG/Opus);
+ * si no, como archivo de audio.
+ */
+export async function sendAudioMessage(phone, media, { voice = false } = {}) {
   const to = normalize(phone);
   const audioField = media.startsWith('http')
     ? { link: media }
     : { id: media };
+  if (voice) audioField.voice = true;
 
-  await callWhatsAppAPI('/messages', {
+  // Envía (si la ventana de 24h lo permite) y guarda en Firestore
+  return sendFreeForm(to, {
     messaging_product: 'whatsapp',
     to,
     type: 'audio',
     audio: audioField
+  }, {
+    content:   '',
+    mediaType: 'audio',
+    mediaId:   media,
+    voice
   });
-
-  // Guardar en Firestore
-  const q = await db.collection('leads')
-                  .where('telefono', '==', to)
-                  .limit(1)
-                  .get();
-  if (!q.empty) {
-    const leadId = q.docs[0].id;
-    const msgData = {
-      content:   '',
-      mediaType: 'audio',
-      mediaId:   media,
-      sender:    'business',
-      timestamp: new Date()
-    };
-    await db.collection('leads').doc(leadId).collection('messages').add(msgData);
-    await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
-  }
 }
 
 /** Envía un mensaje de vídeo (ID o URL) por WhatsApp y lo guarda en Firestore. */
 export async function sendVideoMessage(phone, media) {
-    const to = normalize(phone);
-    const videoField = media.startsWith('http')
-      ? { link: media }
-      : { id: media };
-  
-    await callWhatsAppAPI('/messages', {
-      messaging_product: 'whatsapp',
-      to,
-      type: 'video',
-      video: videoField
-    });
-  
-    // Guardar en Firestore
-    const q = await db.collection('leads')
-                    .where('telefono', '==', to)
-                    .limit(1)
-                    .get();
-    if (!q.empty) {
-      const leadId = q.docs[0].id;
-      const msgData = {
-        content:   '',
-        mediaType: 'video',
-        mediaUrl:  media,
-        sender:    'business',
-        timestamp: new Date()
-      };
-      await db.collection('leads').doc(leadId).collection('messages').add(msgData);
-      await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
-    }
-  }
+  const to = normalize(phone);
+  const videoField = media.startsWith('http')
+    ? { link: media }
+    : { id: media };
+
+  // Envía (si la ventana de 24h lo permite) y guarda en Firestore
+  return sendFreeForm(to, {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'video',
+    video: videoField
+  }, {
+    content:   '',
+    mediaType: 'video',
+    mediaUrl:  media
+  });
+}
 
 
    
@@ -146,8 +324,8 @@ export async function sendDocumentMessage(phone, media) {
   const urlPath = media.split('?')[0];
   const filename = decodeURIComponent(urlPath.substring(urlPath.lastIndexOf('/') + 1));
 
-  // — Llamada a WhatsApp Cloud API con filename —
-  await callWhatsAppAPI('/messages', {
+  // — Llamada a WhatsApp Cloud API con filename y guardado en Firestore —
+  return sendFreeForm(to, {
     messaging_product: 'whatsapp',
     to,
     type: 'document',
@@ -155,47 +333,126 @@ export async function sendDocumentMessage(phone, media) {
       link: media,
       filename
     }
+  }, {
+    content:   '',
+    mediaType: 'document',
+    mediaUrl:  media
   });
+}
 
-  // — Guardar en Firestore igual que con audio y video —
-  const q = await db.collection('leads')
-                  .where('telefono', '==', to)
-                  .limit(1)
-                  .get();
-  if (!q.empty) {
-    const leadId = q.docs[0].id;
-    const msgData = {
-      content:   '',
-      mediaType: 'document',
-      mediaUrl:  media,
-      sender:    'business',
-      timestamp: new Date()
-    };
-    await db.collection('leads').doc(leadId).collection('messages').add(msgData);
-    await db.collection('leads').doc(leadId).update({ lastMessageAt: msgData.timestamp });
-  }
+
+
+/** Recorta textos a los límites de la Cloud API para mensajes interactivos. */
+function clip(text, max) {
+  const str = String(text ?? '');
+  return str.length > max ? str.slice(0, max - 1) + '…' : str;
 }
 
+/** Header/footer opcionales de un mensaje interactivo. */
+function interactiveExtras({ header, footer } = {}) {
+  const extras = {};
+  if (header) extras.header = { type: 'text', text: clip(header, 60) };
+  if (footer) extras.footer = { text: clip(footer, 60) };
+  return extras;
+}
+
+/**
+ * Envía un mensaje con hasta 3 botones de respuesta rápida.
+ * @param {Array<{ id: string, title: string }>} buttons
+ * @param {{ header?: string, footer?: string }} [options]
+ */
+export async function sendInteractiveButtons(phone, text, buttons, options = {}) {
+  if (!Array.isArray(buttons) || !buttons.length || buttons.length > 3) {
+    throw new Error('Un mensaje de botones necesita entre 1 y 3 botones');
+  }
+  const to = normalize(phone);
+  const reply = buttons.map(b => ({ id: clip(b.id, 256), title: clip(b.title, 20) }));
 
+  return sendFreeForm(to, {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      ...interactiveExtras(options),
+      body: { text: clip(text, 1024) },
+      action: { buttons: reply.map(r => ({ type: 'reply', reply: r })) }
+    }
+  }, {
+    content:   text,
+    mediaType: 'interactive',
+    interactive: { type: 'button', options: reply }
+  });
+}
 
-  /**
- * Envía un mensaje de plantilla de WhatsApp con componentes dinámicos.
+/**
+ * Envía un mensaje de lista (hasta 10 filas en total).
+ * @param {string} buttonText - Texto del botón que abre la lista.
+ * @param {Array<{ title: string, rows: Array<{ id, title, description? }> }>} sections
+ * @param {{ header?: string, footer?: string }} [options]
  */
-  export async function sendTemplateMessage({ to, templateName, language, components }) {
-    // Construimos el payload mínimo
-    const payload = {
-      messaging_product: 'whatsapp',
-      to,
-      type: 'template',
-      template: {
-        name: templateName,
-        language: { code: language },
-        // sólo incluimos components si hay al menos un parámetro
-        ...(components && components.length > 0
-           ? { components }
-           : {})
-      }
-    };
-    await callWhatsAppAPI('/messages', payload);
+export async function sendInteractiveList(phone, text, buttonText, sections, options = {}) {
+  const rows = (sections || []).flatMap(s => s.rows || []);
+  if (!rows.length || rows.length > 10) {
+    throw new Error('Un mensaje de lista necesita entre 1 y 10 filas');
   }
-  
\ No newline at end of file
+  const to = normalize(phone);
+  const apiSections = sections.map(s => ({
+    ...(s.title ? { title: clip(s.title, 24) } : {}),
+    rows: (s.rows || []).map(r => ({
+      id:    clip(r.id, 200),
+      title: clip(r.title, 24),
+      ...(r.description ? { description: clip(r.description, 72) } : {})
+    }))
+  }));
+
+  return sendFreeForm(to, {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      ...interactiveExtras(options),
+      body: { text: clip(text, 4096) },
+      action: { button: clip(buttonText || 'Ver opciones', 20), sections: apiSections }
+    }
+  }, {
+    content:   text,
+    mediaType: 'interactive',
+    interactive: {
+      type: 'list',
+      options: apiSections.flatMap(s => s.rows).map(({ id, title }) => ({ id, title }))
+    }
+  });
+}
+
+/**
+ * Envía un mensaje de plantilla de WhatsApp con componentes dinámicos
+ * y lo registra en el historial del lead (con `variables` para mostrarlas en el CRM).
+ * `campaignId` enlaza el envío con su campaña para las estadísticas.
+ */
+export async function sendTemplateMessage({ to, templateName, language, components, variables, campaignId }) {
+  const phone = normalize(to);
+  // Construimos el payload mínimo
+  const payload = {
+    messaging_product: 'whatsapp',
+    to: phone,
+    type: 'template',
+    template: {
+      name: templateName,
+      language: { code: language },
+      // sólo incluimos components si hay al menos un parámetro
+      ...(components && components.length > 0
+         ? { components }
+         : {})
+    }
+  };
+  const resp = await callWhatsAppAPI('/messages', payload);
+
+  return saveOutgoingMessage(phone, {
+    content:   `Plantilla ${templateName} enviada`,
+    template:  templateName,
+    variables: variables || {},
+    ...(campaignId ? { campaignId } : {})
+  }, getWamid(resp));
+}